@@ -1,9 +1,40 @@
 #!/usr/bin/env node
 // dp_top_blocks.js
-// Exact hard-mode E[steps] for a block of high-entropy starters, with
-// a bounded DP memo cache to avoid "Map maximum size exceeded".
+// Exact hard-mode (or normal-mode) E[steps] for Wordle starters, with an LRU DP memo
+// cache to avoid "Map maximum size exceeded".
 //
 // Usage:
+//   node dp_top_blocks.js <command> [options] [words...]
+//
+// Commands:
+//   rank              entropy of every starter as first guess (no DP)
+//   exact             exact E[steps] for one entropy block of starters
+//   word <w...>       exact E[steps] for the given starters
+//
+// Options:
+//   --answers <file>     answer list = candidate set S   (default words_2309.txt)
+//   --guesses <file>     starters to rank / evaluate, and in normal mode
+//                        the allowed guesses              (default: the answers)
+//   --mode hard|normal   which guesses the DP may play    (default hard)
+//   --tail-pool <n>      normal mode: try only the n most splitting
+//                        non-candidate guesses per state  (default 0 = all, exact)
+//   --block-size <n>     starters per block (exact)       (default 200)
+//   --block <n>          1-based block index (exact)      (default 1)
+//   --out <path>         output file                      (default: named after the list)
+//   --format json|csv    output format                    (default json)
+//   --memo-mb <n>        memo budget per thread (LRU)     (default 1024)
+//   --resume             skip starters already solved in --out (json only)
+//   --memo-file <path>   save the DP memo there, load it on --resume
+//   --memo-every <min>   minutes between memo saves       (default 30)
+//   --tree <dir>         write optimal strategy trees (exact / word)
+//   --threads <n>        worker threads for exact / word  (default 1)
+//   --quiet              no progress output
+//   -h, --help           show this help
+//
+// exact and word rewrite --out after every solved starter ("complete": false
+// until the end), so a crash loses at most the starter in progress.
+//
+// The old positional form still works and runs `exact`:
 //   node dp_top_blocks.js words_2309.txt 200 1
 //     -> load words_2309.txt
 //     -> compute entropy of all words as first guess
@@ -11,68 +42,48 @@
 //     -> take block 1 (1..200) and compute exact E[steps] for each
 //
 // Hard-mode definition here:
-//   - Answer set S = given word list (all words in file)
+//   - Answer set S = the answers file (all words in file)
 //   - In all later steps, guesses are restricted to the current candidate set S'
-//   - No external guess pool.
+//   - No external guess pool (--guesses only widens the choice of starters).
+//
+// Normal mode (--mode normal):
+//   - Answer set S = the answers file, as above
+//   - Every later guess may be any answer or any word of --guesses
+//     (e.g. --answers words_2309.txt --guesses words_14855.txt)
+//   - Pruning keeps this tractable without losing exactness: guesses that
+//     leave S in one bucket are skipped, and the lower bounds below drop
+//     non-candidates (>= 2 steps) once a candidate reaches 2. --tail-pool
+//     trades exactness for speed.
+//
+// Search (both modes): guesses are tried highest entropy first. Each one
+// has an admissible lower bound (1 step per singleton bucket, 2 - 1/k for
+// a bucket of k) and is skipped when that cannot beat the best E so far;
+// each bucket is searched with the cutoff it must beat, and a state that
+// cannot beat its cutoff stops early and is remembered as a bound.
+//
+// Output format 2 (the "formatVersion" field): the guess that hits the answer
+// ends the game, so the solved bucket adds no further step. Format 1 files,
+// which have no formatVersion, counted one more turn for every answer guessed
+// exactly, so all their numbers are higher (on a 400-word list ALONE went
+// from 3.21 to 2.9525). --resume and the page's starter leaderboard refuse
+// them; rerun those blocks.
 //
 // We do NOT search the globally best first guess here. For each chosen
 // starter g we compute E[steps] if you MUST play g first, and then play
 // optimally afterwards.
 
-const fs   = require('fs');
-const path = require('path');
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { parseArgs } = require('util');
 
 function timeStr() {
   return new Date().toISOString();
 }
 
 // ============================
-// 1. CLI arguments
-// ============================
-
-const WORD_FILE   = process.argv[2] || 'words_2309.txt';
-const BLOCK_SIZE  = parseInt(process.argv[3] || '200', 10);
-const BLOCK_INDEX = parseInt(process.argv[4] || '1', 10);
-
-if (!fs.existsSync(WORD_FILE)) {
-  console.error(`Usage: node dp_top_blocks.js <word_list_file> [blockSize] [blockIndex]`);
-  console.error(`File not found: ${WORD_FILE}`);
-  process.exit(1);
-}
-
-if (!(BLOCK_SIZE > 0)) {
-  console.error(`BLOCK_SIZE must be a positive integer. Got: ${BLOCK_SIZE}`);
-  process.exit(1);
-}
-if (!(BLOCK_INDEX > 0)) {
-  console.error(`BLOCK_INDEX must be a positive integer (1-based). Got: ${BLOCK_INDEX}`);
-  process.exit(1);
-}
-
-console.log(`[${timeStr()}] Word file   : ${WORD_FILE}`);
-console.log(`[${timeStr()}] Block size  : ${BLOCK_SIZE}`);
-console.log(`[${timeStr()}] Block index : ${BLOCK_INDEX}`);
-
-// ============================
-// 2. Load words
-// ============================
-
-const raw = fs.readFileSync(WORD_FILE, 'utf8');
-const WORDS = raw
-  .split(/\r?\n/)
-  .map(s => s.trim().toLowerCase())
-  .filter(s => /^[a-z]{5}$/.test(s));
-
-if (WORDS.length === 0) {
-  console.error(`No valid 5-letter words in ${WORD_FILE}`);
-  process.exit(1);
-}
-const N = WORDS.length;
-
-console.log(`[${timeStr()}] Loaded ${N} words.`);
-
-// ============================
-// 3. Wordle pattern function
+// 1. Wordle pattern function
 //    patternFor(guess, answer) -> string of length 5 in '0','1','2'
 // ============================
 
@@ -104,149 +115,256 @@ function patternFor(g, a) {
   return res.join('');
 }
 
-// ============================
-// 4. Precompute pattern table PAT[i][j]
-//    i = guess index, j = answer index
-// ============================
+// Same feedback as a base-3 code 0..242 (gray=0, yellow=1, green=2, first
+// letter most significant), as in engine.js. The DP tables store these.
+const SOLVED_CODE = 242;
 
-console.log(`[${timeStr()}] Precomputing pattern table...`);
-const PAT = new Array(N);
-for (let i = 0; i < N; i++) {
-  PAT[i] = new Array(N);
-}
+const letterCnt = new Uint8Array(26);
+const marks     = new Uint8Array(5);
 
-for (let i = 0; i < N; i++) {
-  const gi = WORDS[i];
-  for (let j = 0; j < N; j++) {
-    PAT[i][j] = patternFor(gi, WORDS[j]);
+function patternCode(g, a) {
+  for (let i = 0; i < 5; i++) {
+    if (g.charCodeAt(i) === a.charCodeAt(i)) {
+      marks[i] = 2;
+    } else {
+      marks[i] = 0;
+      letterCnt[a.charCodeAt(i) - 97]++;
+    }
   }
-  if ((i + 1) % 200 === 0 || i === N - 1) {
-    console.log(`[${timeStr()}]  precomputed row ${i + 1} / ${N}`);
+  for (let i = 0; i < 5; i++) {
+    if (marks[i] === 2) continue;
+    const ch = g.charCodeAt(i) - 97;
+    if (letterCnt[ch] > 0) {
+      marks[i] = 1;
+      letterCnt[ch]--;
+    }
   }
+  for (let i = 0; i < 5; i++) letterCnt[a.charCodeAt(i) - 97] = 0;
+  return (((marks[0] * 3 + marks[1]) * 3 + marks[2]) * 3 + marks[3]) * 3 + marks[4];
 }
 
-console.log(`[${timeStr()}] Pattern table ready.`);
-
-// ============================
-// 5. Entropy of first guess (vs full set)
-//    - We use H only for ranking starters
-// ============================
-
-function entropyOfFirstGuess(guessIdx) {
-  const size = N;
-  const counts = new Map(); // pattern -> count
-
-  for (let j = 0; j < N; j++) {
-    const pat = PAT[guessIdx][j];
-    counts.set(pat, (counts.get(pat) || 0) + 1);
-  }
-
-  let H = 0;
-  for (const cnt of counts.values()) {
-    const p = cnt / size;
-    H += -p * Math.log2(p);
+function patternString(code) {
+  let s = '';
+  for (let i = 0; i < 5; i++) {
+    s = String(code % 3) + s;
+    code = Math.floor(code / 3);
   }
-  return H;
+  return s;
 }
 
-console.log(`[${timeStr()}] Computing entropies for all words as first guess...`);
+// ============================
+// 2. Word lists
+//    One word per line, or comma / whitespace separated (.txt and .csv);
+//    quotes are stripped, duplicates and non 5-letter entries dropped.
+// ============================
 
-const entropyList = [];
-for (let i = 0; i < N; i++) {
-  const H = entropyOfFirstGuess(i);
-  entropyList.push({ idx: i, entropy: H });
-  if ((i + 1) % 200 === 0 || i === N - 1) {
-    console.log(`[${timeStr()}]  entropy computed for ${i + 1} / ${N}`);
+function loadWords(file) {
+  const raw = fs.readFileSync(file, 'utf8');
+  const seen = new Set();
+  const words = [];
+  for (const cell of raw.replace(/^﻿/, '').split(/[\s,;]+/)) {
+    const w = cell.replace(/^["']+|["']+$/g, '').toLowerCase();
+    if (/^[a-z]{5}$/.test(w) && !seen.has(w)) {
+      seen.add(w);
+      words.push(w);
+    }
   }
+  return words;
 }
 
-// sort by entropy (desc), tie-break lexicographically for stability
-entropyList.sort((a, b) => {
-  if (b.entropy !== a.entropy) return b.entropy - a.entropy;
-  const wa = WORDS[a.idx];
-  const wb = WORDS[b.idx];
-  return wa < wb ? -1 : wa > wb ? 1 : 0;
-});
-
 // ============================
-// 6. Select block (top K, with offset)
+// 3. Solver over one answer list
+//    PAT[r * N + j] = patternCode(words[r], answers[j]) where words =
+//    answers followed by the extra guesses; one byte per cell, so the
+//    full 14855 x 2309 table is ~34 MB. It lives in a SharedArrayBuffer
+//    so --threads workers read the same copy.
 // ============================
 
-const startRank = (BLOCK_INDEX - 1) * BLOCK_SIZE;   // 0-based rank index
-const endRank   = Math.min(startRank + BLOCK_SIZE, entropyList.length);
-
-if (startRank >= entropyList.length) {
-  console.error(`Block index too large: startRank=${startRank+1} > total words=${entropyList.length}`);
-  process.exit(1);
-}
-
-const selectedStarters = entropyList.slice(startRank, endRank);
+// --- DP memo: compact keys, LRU eviction under a byte budget ---
+//
+// A state (sorted candidate indices) is keyed by a string of UTF-16 code
+// units: one unit per index while the set is small ("packed"), or an
+// N-bit bitset once that is shorter. The two forms never collide since a
+// packed key is always shorter than a bitset one. Keys are exact, so a
+// hit is always the same state (no hashing collisions).
+//
+// Map keeps insertion order; a hit re-inserts its entry, so the first
+// keys are the least recently used and are evicted first.
+const MAX_MEMO_ENTRIES = 8_000_000;        // below the engine's Map limit
+const EVICT_FRACTION   = 0.01;             // evict in batches of ~1% of entries
+const ENTRY_OVERHEAD   = 48;               // rough bytes per Map entry besides the key
 
-console.log(`[${timeStr()}] Total words          : ${entropyList.length}`);
-console.log(`[${timeStr()}] Selected rank range  : ${startRank + 1} .. ${endRank}`);
-console.log(`[${timeStr()}] Selected starters    : ${selectedStarters.length}`);
+function createMemo(N, maxBytes, log = () => {}) {
+  const bitsetLen = Math.ceil(N / 16);
+  const memo = new Map();   // compact key -> expected steps
+  let bytes = 0;
+  let hits = 0;
+  let misses = 0;
+  let evictions = 0;
 
-// ============================
-// 7. DP over candidate sets (hard-mode tail)
-//    State = sorted array of candidate *indices* (0..N-1)
-//    Each state E(S) = optimal expected steps if we are at candidate set S,
-//    and we may choose any guess from S.
-// ============================
+  function keyOf(cands) {
+    const len = cands.length;
+    if (len < bitsetLen) return String.fromCharCode.apply(null, cands);
+    const words = new Uint16Array(bitsetLen);
+    for (let k = 0; k < len; k++) {
+      const i = cands[k];
+      words[i >> 4] |= 1 << (i & 15);
+    }
+    let key = '';
+    for (let w = 0; w < bitsetLen; w += 4096) {
+      key += String.fromCharCode.apply(null, words.subarray(w, w + 4096));
+    }
+    return key;
+  }
 
-const memo = new Map();   // key: "i1,i2,...", value: expected steps
-let statesEvaluated = 0;
+  function indicesOf(key) {
+    if (key.length < bitsetLen) {
+      return Array.from(key, ch => ch.charCodeAt(0));
+    }
+    const out = [];
+    for (let w = 0; w < bitsetLen; w++) {
+      const bits = key.charCodeAt(w);
+      for (let b = 0; b < 16; b++) {
+        if (bits & (1 << b)) out.push((w << 4) + b);
+      }
+    }
+    return out;
+  }
 
-// --- New: bounded memo to avoid Map size overflow ---
-const MAX_MEMO_ENTRIES = 8_000_000;        // below engine limit
-const EVICT_FRACTION   = 0.10;             // drop ~10% when over limit
+  const entryBytes = (key) => ENTRY_OVERHEAD + 2 * key.length;
 
-function memoStore(key, value) {
-  if (memo.size >= MAX_MEMO_ENTRIES) {
-    // Evict some oldest entries (Map keeps insertion order)
-    const toRemove = Math.max(1, Math.floor(MAX_MEMO_ENTRIES * EVICT_FRACTION));
+  function evict() {
+    const batch = Math.max(1, Math.floor(memo.size * EVICT_FRACTION));
     let removed = 0;
     for (const k of memo.keys()) {
+      if (removed >= batch && bytes <= maxBytes && memo.size < MAX_MEMO_ENTRIES) break;
       memo.delete(k);
+      bytes -= entryBytes(k);
       removed++;
-      if (removed >= toRemove) break;
     }
-    console.log(
-      `[${timeStr()}] memo capacity hit: evicted ${removed} entries, ` +
-      `new memo.size=${memo.size}`
+    evictions += removed;
+    log(
+      `[${timeStr()}] memo full: evicted ${removed} least recently used states, ` +
+      `memo.size=${memo.size}, ~${(bytes / 1048576).toFixed(0)} MB`
     );
   }
-  memo.set(key, value);
-}
 
-function solveTail(cands) {
-  const len = cands.length;
-  if (len <= 0) return 0;    // degenerate
-  if (len === 1) return 1;   // guess that word now
+  function get(key) {
+    const value = memo.get(key);
+    if (value === undefined) {
+      misses++;
+      return undefined;
+    }
+    hits++;
+    memo.delete(key);   // move to the most recently used end
+    memo.set(key, value);
+    return value;
+  }
 
-  // canonical key
-  const key = cands.join(',');
-  const cached = memo.get(key);
-  if (cached !== undefined) return cached;
+  function set(key, value) {
+    if (memo.delete(key)) bytes -= entryBytes(key);
+    if (memo.size >= MAX_MEMO_ENTRIES || bytes + entryBytes(key) > maxBytes) evict();
+    memo.set(key, value);
+    bytes += entryBytes(key);
+  }
 
-  statesEvaluated++;
-  if (statesEvaluated % 1000 === 0) {
-    console.log(
-      `[${timeStr()}] DP statesEvaluated=${statesEvaluated}, memo.size=${memo.size}`
-    );
+  return {
+    keyOf,
+    get,
+    set,
+    // for --memo-file: exact states as sorted index lists, oldest first
+    *entries() {
+      for (const [key, value] of memo) {
+        if (value > 0) yield [indicesOf(key), value];
+      }
+    },
+    load: (cands, value) => set(keyOf(cands), value),
+    stats: () => ({ memoSize: memo.size, memoBytes: bytes, hits, misses, evictions })
+  };
+}
+
+/**
+ * starters: extra first guesses to score that are in neither list; they
+ * get table rows but never join the normal-mode pool (rows 0..poolSize-1).
+ */
+function buildPatternTable(answers, guesses = [], starters = [], log = () => {}) {
+  const N = answers.length;
+  const seen = new Set(answers);
+  const words = answers.slice();
+  const addWord = (w) => {
+    if (!seen.has(w)) {
+      seen.add(w);
+      words.push(w);
+    }
+  };
+  guesses.forEach(addWord);
+  const poolSize = words.length;
+  starters.forEach(addWord);
+  const G = words.length;
+
+  log(`[${timeStr()}] Precomputing pattern table (${G} x ${N})...`);
+  const PAT = new Uint8Array(new SharedArrayBuffer(G * N));
+  for (let r = 0; r < G; r++) {
+    const g = words[r];
+    const base = r * N;
+    for (let j = 0; j < N; j++) {
+      PAT[base + j] = patternCode(g, answers[j]);
+    }
+    if ((r + 1) % 1000 === 0 || r === G - 1) {
+      log(`[${timeStr()}]  precomputed row ${r + 1} / ${G}`);
+    }
   }
+  log(`[${timeStr()}] Pattern table ready.`);
+  return { answers, words, poolSize, PAT };
+}
+
+/**
+ * table         from buildPatternTable (or a worker's copy of it)
+ * opts.mode     'hard'   : follow-up guesses come from the current candidates
+ *               'normal' : follow-up guesses come from answers + guesses
+ * opts.tailPool normal mode only: keep the N guesses with the most buckets
+ *               per state (0 = all, exact)
+ * opts.memoMB   memo budget in MB (default 1024)
+ */
+function createSolver(table, opts = {}) {
+  const mode     = opts.mode || 'hard';
+  const tailPool = opts.tailPool || 0;
+  const log      = opts.log || (() => {});
+  const memoMB   = opts.memoMB || 1024;
+
+  const { answers, words, PAT } = table;
+  const N = answers.length;
+  const P = table.poolSize;   // rows 0..P-1 form the normal-mode guess pool
+  const index = new Map(words.map((w, r) => [w, r]));
 
-  const size = len;
-  let bestE = Infinity;
+  // Table row of a starter word
+  function rowOf(word) {
+    const r = index.get(word);
+    if (r !== undefined) return r;
+    throw new Error(`Starter not in the answer or guess lists: ${word}`);
+  }
 
-  // hard-mode: guesses restricted to S itself
-  for (let gi = 0; gi < len; gi++) {
-    const gIdx = cands[gi];
+  // Entropy of a first guess vs the full set (used only for ranking starters)
+  function entropyOf(word) {
+    const base = rowOf(word) * N;
+    const counts = new Uint32Array(243);
+    for (let j = 0; j < N; j++) counts[PAT[base + j]]++;
+    let H = 0;
+    for (const cnt of counts) {
+      if (!cnt) continue;
+      const p = cnt / N;
+      H += -p * Math.log2(p);
+    }
+    return H;
+  }
 
-    // partition S by pattern
+  // partition S by pattern: code -> [answer indices]
+  function partition(r, cands) {
+    const base = r * N;
     const buckets = new Map();
-    for (let k = 0; k < len; k++) {
+    for (let k = 0; k < cands.length; k++) {
       const ansIdx = cands[k];
-      const pat = PAT[gIdx][ansIdx];
+      const pat = PAT[base + ansIdx];
       let arr = buckets.get(pat);
       if (!arr) {
         arr = [];
@@ -254,133 +372,798 @@ function solveTail(cands) {
       }
       arr.push(ansIdx);
     }
+    return buckets;
+  }
+
+  // --- Lower bounds ---
+  // A bucket of k answers needs at least lb(k) more steps: 1 for a
+  // singleton, else (2k - 1) / k (guess one of them and split the rest into
+  // singletons). So guess g on S costs at least
+  //   1 + Σ_p |S_p|/|S| · lb(|S_p|) = 1 + (2m - b) / |S|
+  // over its b unsolved buckets holding m answers: 2 or more for any
+  // non-candidate.
+  const bucketLowerBound = (k) => (k === 1 ? 1 : (2 * k - 1) / k);
+
+  const counts  = new Uint32Array(243);
+  const touched = new Uint8Array(243);   // codes seen by the current guess
+  // { r, lb, H } for guess row r on S (bound and entropy), or null when r
+  // leaves S in a single unsolved bucket
+  function scoreGuess(r, cands) {
+    const base = r * N;
+    const len = cands.length;
+    let codes = 0;
+    for (let k = 0; k < len; k++) {
+      const pat = PAT[base + cands[k]];
+      if (counts[pat]++ === 0) touched[codes++] = pat;
+    }
+    let m = len;
+    let b = 0;
+    let H = 0;
+    for (let i = 0; i < codes; i++) {
+      const pat = touched[i];
+      const c = counts[pat];
+      counts[pat] = 0;
+      const p = c / len;
+      H -= p * Math.log2(p);
+      if (pat === SOLVED_CODE) m -= c;
+      else b++;
+    }
+    if (codes === 1 && m === len) return null;
+    return { r, lb: 1 + (2 * m - b) / len, H };
+  }
+
+  // Guesses to try on S, highest entropy first so a good best E (and with
+  // it tight cutoffs) turns up early. Hard mode: the candidates. Normal
+  // mode: also every other pool word that splits S; --tail-pool keeps the
+  // ones with the lowest bound.
+  function guessesFor(cands) {
+    const list = cands.map(r => scoreGuess(r, cands));
+    if (mode === 'normal') {
+      const inS = new Set(cands);
+      const others = [];
+      for (let r = 0; r < P; r++) {
+        if (r < N && inS.has(r)) continue;
+        const g = scoreGuess(r, cands);
+        if (g) others.push(g);
+      }
+      if (tailPool > 0 && others.length > tailPool) {
+        others.sort((a, b) => a.lb - b.lb || a.r - b.r);
+        others.length = tailPool;
+      }
+      for (const g of others) list.push(g);
+    }
+    list.sort((a, b) => b.H - a.H || a.lb - b.lb || a.r - b.r);
+    return list;
+  }
+
+  // DP over candidate sets
+  //   State = sorted array of candidate *indices* (0..N-1)
+  //   Each state E(S) = optimal expected steps if we are at candidate set S.
+  //   The memo holds E(S) (> 0), or -B for a state only known to cost >= B.
+  const memo = createMemo(N, memoMB * 1048576, log);
+  let statesEvaluated = 0;
+  let statesCutOff = 0;    // searches that proved E(S) >= cutoff and stopped
+  let guessesPruned = 0;   // guesses skipped on their lower bound alone
+
+  // 1 + expected tail of guess row r on S. Each bucket is searched with the
+  // cutoff it would have to beat for r to beat bestE (taking the other
+  // buckets at their lower bounds); once one fails, r cannot win and a
+  // lower bound >= bestE is returned instead.
+  function expectedWith(r, cands, bestE) {
+    const size = cands.length;
+    const buckets = [];
+    let rest = 0;   // Σ p · lb over the buckets not searched yet
+    for (const [pat, arr] of partition(r, cands)) {
+      if (pat === SOLVED_CODE) continue;   // answer was the guess: no further step
+      const p = arr.length / size;
+      const lb = bucketLowerBound(arr.length);
+      buckets.push({ arr, p, lb });
+      rest += p * lb;
+    }
+    // biggest buckets first: they decide whether r can win
+    buckets.sort((a, b) => b.arr.length - a.arr.length);
 
     let expectedTail = 0;
-    for (const arr of buckets.values()) {
-      const bucketSize = arr.length;
-      const prob = bucketSize / size;
-      const subE = solveTail(arr);
-      expectedTail += prob * subE;
-
-      // simple branch-and-bound
-      if (1 + expectedTail >= bestE) {
-        break;
+    for (const { arr, p, lb } of buckets) {
+      rest -= p * lb;
+      const cutoff = (bestE - 1 - expectedTail - rest) / p;
+      const subE = solveTail(arr, cutoff);
+      expectedTail += p * subE;
+      if (subE >= cutoff) {
+        return Math.max(bestE, 1 + expectedTail + rest);
       }
     }
+    return 1 + expectedTail;
+  }
+
+  // E(S) if it is below cutoff, else some lower bound >= cutoff
+  function solveTail(cands, cutoff = Infinity) {
+    const len = cands.length;
+    if (len <= 0) return 0;    // degenerate
+    if (len === 1) return 1;   // guess that word now
+    if (len === 2) return 1.5; // guess one: right half the time, else the other
 
-    const totalE = 1 + expectedTail;
-    if (totalE < bestE) {
-      bestE = totalE;
+    // canonical key
+    const key = memo.keyOf(cands);
+    const cached = memo.get(key);
+    if (cached > 0) return cached;
+    if (cached !== undefined && -cached >= cutoff) return -cached;
+
+    statesEvaluated++;
+    if (statesEvaluated % 1000 === 0) {
+      log(
+        `[${timeStr()}] DP statesEvaluated=${statesEvaluated}, memo.size=${memo.stats().memoSize}`
+      );
     }
+
+    let bestE = cutoff;
+    let exact = false;
+    for (const g of guessesFor(cands)) {
+      if (g.lb >= bestE) {
+        guessesPruned++;
+        continue;
+      }
+      const totalE = expectedWith(g.r, cands, bestE);
+      if (totalE < bestE) {
+        bestE = totalE;
+        exact = true;
+      }
+    }
+
+    if (!exact) statesCutOff++;
+    memo.set(key, exact ? bestE : -bestE);
+    return bestE;
   }
 
-  memoStore(key, bestE);
-  return bestE;
-}
+  /**
+   * Compute exact E[steps] if we FORCE a specific first guess
+   * at the root (S = all answers).
+   *
+   * E = 1 (first guess) + Σ_p ( |S_p| / |S| ) * E(S_p)
+   * where E(S_p) is solveTail(S_p) under optimal guessing from that point,
+   * and the solved bucket (p = 22222) adds nothing.
+   */
+  function solveWithFixedRoot(word) {
+    const all = Array.from({ length: N }, (_, j) => j);
+    return expectedWith(rowOf(word), all, Infinity);
+  }
 
-/**
- * Compute exact E[steps] if we FORCE a specific first guess gIdx
- * at the root (S = all words).
- *
- * E = 1 (first guess) + Σ_p ( |S_p| / |S| ) * E(S_p)
- * where E(S_p) is solveTail(S_p) under optimal guessing from that point.
- */
-function solveWithFixedRoot(gIdx) {
-  const size = N;
-  // Partition full set by patterns
-  const buckets = new Map();
-  for (let j = 0; j < N; j++) {
-    const pat = PAT[gIdx][j];
-    let arr = buckets.get(pat);
-    if (!arr) {
-      arr = [];
-      buckets.set(pat, arr);
-    }
-    arr.push(j);
-  }
-
-  let expectedTail = 0;
-  for (const arr of buckets.values()) {
-    const bucketSize = arr.length;
-    const prob = bucketSize / size;
-    const subE = solveTail(arr);
-    expectedTail += prob * subE;
-  }
-  return 1 + expectedTail;
+  // --- Optimal strategy tree ---
+  // Rebuilt after solving: at each state, the first guess (in search
+  // order) whose expectation matches E(S) is an optimal one; the warm memo
+  // makes the others fail their cutoff at once.
+  const TREE_EPS = 1e-9;
+
+  function bestGuessOn(cands) {
+    const E = solveTail(cands);
+    if (cands.length === 2) return { r: cands[0], E };
+    for (const g of guessesFor(cands)) {
+      if (g.lb >= E + TREE_EPS) continue;
+      const totalE = expectedWith(g.r, cands, E + TREE_EPS);
+      if (totalE < E + TREE_EPS) return { r: g.r, E: totalE };
+    }
+    throw new Error(`No guess reaches E=${E} on a state of ${cands.length}`);
+  }
+
+  // { guess, n, E, next: { pattern: node } }, the solved pattern left out;
+  // a leaf { guess, n: 1, E: 1 } is the answer itself
+  function treeNode(r, cands, E) {
+    const node = { guess: words[r], n: cands.length, E };
+    if (cands.length === 1 && cands[0] === r) return node;
+    node.next = {};
+    const buckets = [...partition(r, cands)].sort((a, b) => a[0] - b[0]);
+    for (const [pat, arr] of buckets) {
+      if (pat === SOLVED_CODE) continue;
+      const child = arr.length === 1 ? { r: arr[0], E: 1 } : bestGuessOn(arr);
+      node.next[patternString(pat)] = treeNode(child.r, arr, child.E);
+    }
+    return node;
+  }
+
+  function treeFor(word, E) {
+    const all = Array.from({ length: N }, (_, j) => j);
+    return treeNode(rowOf(word), all, E);
+  }
+
+  return {
+    mode,
+    tailPool,
+    entropyOf,
+    solveWithFixedRoot,
+    treeFor,
+    memoEntries: () => memo.entries(),
+    memoLoad: memo.load,
+    stats: () => ({ statesEvaluated, statesCutOff, guessesPruned, ...memo.stats() })
+  };
 }
 
 // ============================
-// 8. Compute E[steps] for each selected starter
+// 4. Commands
 // ============================
 
-console.log(`[${timeStr()}] Computing exact E[steps] for selected starters...`);
+// Starters sorted by entropy (desc), tie-break lexicographically for stability
+function rankByEntropy(solver, guesses, log) {
+  log(`[${timeStr()}] Computing entropies for all words as first guess...`);
+  const list = [];
+  guesses.forEach((word, i) => {
+    list.push({ word, entropy: solver.entropyOf(word) });
+    if ((i + 1) % 200 === 0 || i === guesses.length - 1) {
+      log(`[${timeStr()}]  entropy computed for ${i + 1} / ${guesses.length}`);
+    }
+  });
+  list.sort((a, b) => {
+    if (b.entropy !== a.entropy) return b.entropy - a.entropy;
+    return a.word < b.word ? -1 : a.word > b.word ? 1 : 0;
+  });
+  return list.map((r, i) => ({ rank: i + 1, word: r.word, entropy: r.entropy }));
+}
 
-const results = [];
-let processed = 0;
+// done: word -> result already solved by an earlier run (--resume)
+// onResult(results, solved): called after each newly solved starter
+// (checkpoint); solved = { word, E, tree } with tree only under --tree
+// Starters are handed out one at a time to the pool's slots, so a slow
+// starter never holds up a whole share of the block.
+async function solveStarters(pool, starters, log, done = new Map(), onResult = () => {}) {
+  log(`[${timeStr()}] Computing exact E[steps] for selected starters...`);
+  const results = [];
+  const queue = [];
+  for (const item of starters) {
+    const prev = done.get(item.word);
+    if (prev) {
+      log(`[${timeStr()}]  #${item.rank}  ${item.word.toUpperCase()}  E=${prev.E.toFixed(6)}  (resumed)`);
+      results.push({ ...item, E: prev.E });
+    } else {
+      queue.push(item);
+    }
+  }
 
-for (const item of selectedStarters) {
-  const idx  = item.idx;
-  const word = WORDS[idx];
-  const H    = item.entropy;
+  const slots = Array.from({ length: Math.min(pool.size, queue.length) }, async (_, slot) => {
+    while (queue.length) {
+      const item = queue.shift();
+      const solved = await pool.solve(item.word, slot);
+      const E = solved.E;
+      log(
+        `[${timeStr()}]  #${item.rank}  ${item.word.toUpperCase()}  ` +
+        `H=${item.entropy.toFixed(6)}  E=${E.toFixed(6)}`
+      );
+      results.push({ ...item, E });
+      onResult(results, { word: item.word, ...solved });
+    }
+  });
+  await Promise.all(slots);
 
-  const E = solveWithFixedRoot(idx);
-  processed++;
+  // sort results by E ascending (just for pretty output)
+  results.sort((a, b) => a.E - b.E);
 
-  console.log(
-    `[${timeStr()}]  #${startRank + processed}  ${word.toUpperCase()}  ` +
-    `H=${H.toFixed(6)}  E=${E.toFixed(6)}`
+  log(`\n========== SUMMARY (by E[steps]) ==========\n`);
+  for (const r of results) {
+    log(
+      `#${r.rank.toString().padStart(4, ' ')}  ` +
+      `${r.word.toUpperCase().padEnd(8, ' ')}  ` +
+      `H=${r.entropy.toFixed(6)}  ` +
+      `E=${r.E.toFixed(6)}`
+    );
+  }
+  const st = pool.stats();
+  const lookups = st.hits + st.misses;
+  log(`\n[${timeStr()}] DP statesEvaluated=${st.statesEvaluated}, memo.size=${st.memoSize}`);
+  log(
+    `[${timeStr()}] memo: ${st.hits} hits / ${lookups} lookups ` +
+    `(${lookups ? (100 * st.hits / lookups).toFixed(1) : '0.0'}%), ` +
+    `~${(st.memoBytes / 1048576).toFixed(1)} MB, ${st.evictions} evictions`
   );
+  log(
+    `[${timeStr()}] pruned: ${st.statesCutOff} states cut off by their bound, ` +
+    `${st.guessesPruned} guesses skipped on their lower bound\n`
+  );
+  return results;
+}
+
+async function runCommand(opts, log) {
+  const answers = loadWords(opts.answers);
+  if (answers.length === 0) throw new Error(`No valid 5-letter words in ${opts.answers}`);
+  const guesses = opts.guesses ? loadWords(opts.guesses) : answers;
+  if (guesses.length === 0) throw new Error(`No valid 5-letter words in ${opts.guesses}`);
+  log(`[${timeStr()}] Loaded ${answers.length} answers, ${guesses.length} starters.`);
+
+  const table = buildPatternTable(answers, guesses, opts.words, log);
+  const solverOpts = { mode: opts.mode, tailPool: opts.tailPool, memoMB: opts.memoMB };
+  const solver = createSolver(table, { ...solverOpts, log });
+  const ranked = rankByEntropy(solver, guesses, log);
+  const base = {
+    formatVersion: FORMAT_VERSION,
+    wordsFile: path.basename(opts.answers),
+    guessesFile: path.basename(opts.guesses || opts.answers),
+    numCandidates: answers.length,
+    numGuesses: guesses.length,
+    mode: opts.mode,
+    tailPool: opts.mode === 'normal' ? opts.tailPool : undefined
+  };
+
+  if (opts.command === 'rank') {
+    return { ...base, results: ranked };
+  }
+
+  let selected;
+  if (opts.command === 'word') {
+    const byWord = new Map(ranked.map(r => [r.word, r]));
+    selected = opts.words.map(w => byWord.get(w) || { rank: 0, word: w, entropy: solver.entropyOf(w) });
+  } else {
+    // exact: one entropy block
+    const startRank = (opts.block - 1) * opts.blockSize;   // 0-based rank index
+    const endRank   = Math.min(startRank + opts.blockSize, ranked.length);
+    if (startRank >= ranked.length) {
+      throw new Error(`Block index too large: startRank=${startRank + 1} > total words=${ranked.length}`);
+    }
+    selected = ranked.slice(startRank, endRank);
+    log(`[${timeStr()}] Total words          : ${ranked.length}`);
+    log(`[${timeStr()}] Selected rank range  : ${startRank + 1} .. ${endRank}`);
+    log(`[${timeStr()}] Selected starters    : ${selected.length}`);
+    Object.assign(base, {
+      blockSize: opts.blockSize,
+      blockIndex: opts.block,
+      startRank: startRank + 1,
+      endRank
+    });
+  }
 
-  results.push({
-    rank: startRank + processed,   // 1-based overall entropy rank
-    word,
-    entropy: H,
-    E
+  const pool = opts.threads > 1
+    ? createThreadPool(Math.min(opts.threads, selected.length), table, solverOpts, !!opts.tree, opts.quiet)
+    : createLocalPool(solver, !!opts.tree);
+  if (pool.size > 1) log(`[${timeStr()}] Solving on ${pool.size} worker threads.`);
+
+  const withStats = (results, complete) => {
+    const st = pool.stats();
+    return {
+      ...base,
+      complete,
+      results,
+      dpStatesEvaluated: st.statesEvaluated,
+      dpMemoSize: st.memoSize,
+      dpPruned: { statesCutOff: st.statesCutOff, guessesSkipped: st.guessesPruned },
+      dpMemo: { hits: st.hits, misses: st.misses, bytes: st.memoBytes, evictions: st.evictions }
+    };
+  };
+
+  // --- Checkpoints: results after every starter, memo every few minutes ---
+  const done = opts.resume ? readResumeResults(opts, base, log) : new Map();
+  const memoHeader = memoFileHeader(answers, guesses, opts);
+  if (opts.resume && opts.memoFile && fs.existsSync(opts.memoFile)) {
+    loadMemoFile(solver, opts.memoFile, memoHeader, log);
+  }
+  let lastMemoSave = Date.now();
+  const saveMemo = () => {
+    if (!opts.memoFile) return;
+    saveMemoFile(solver, opts.memoFile, memoHeader);
+    lastMemoSave = Date.now();
+    log(`[${timeStr()}] Memo checkpoint: ${solver.stats().memoSize} states -> ${opts.memoFile}`);
+  };
+
+  try {
+    const results = await solveStarters(pool, selected, log, done, (partial, solved) => {
+      if (solved.tree) {
+        const files = writeTree(opts, base, solved);
+        log(`[${timeStr()}]  tree for ${solved.word.toUpperCase()} -> ${files.join(', ')}`);
+      }
+      writeOutput(opts, withStats(partial, false));
+      if (Date.now() - lastMemoSave >= opts.memoEvery * 60_000) saveMemo();
+    });
+    saveMemo();
+    return withStats(results, true);
+  } finally {
+    await pool.close();
+  }
+}
+
+// ============================
+// 5. Solver pools
+//    pool.solve(word, slot) -> Promise<{ E, tree }>, one starter at a
+//    time per slot; tree only when the pool was made withTree
+// ============================
+
+function solveOne(solver, word, withTree) {
+  const E = solver.solveWithFixedRoot(word);
+  return withTree ? { E, tree: solver.treeFor(word, E) } : { E };
+}
+
+// --threads 1: the main thread's solver, one memo for the whole block
+function createLocalPool(solver, withTree) {
+  return {
+    size: 1,
+    solve: async (word) => solveOne(solver, word, withTree),
+    stats: () => solver.stats(),
+    close: async () => {}
+  };
+}
+
+// --threads N: one worker per slot, each with its own memo over the shared
+// pattern table. A worker keeps its memo across the starters it is given.
+function createThreadPool(n, table, solverOpts, withTree, quiet) {
+  const workers = [];
+  const stats = [];
+  for (let i = 0; i < n; i++) {
+    workers.push(new Worker(__filename, {
+      workerData: { dpTopBlocks: true, id: i + 1, table, solverOpts, withTree, quiet }
+    }));
+    stats.push({});
+  }
+
+  function solve(word, slot) {
+    const worker = workers[slot];
+    return new Promise((resolve, reject) => {
+      // whichever event comes first settles the promise and drops the others
+      const done = () => {
+        worker.off('message', onMessage);
+        worker.off('error', onError);
+        worker.off('exit', onExit);
+      };
+      const onMessage = (msg) => {
+        done();
+        stats[slot] = msg.stats;
+        if (msg.error) reject(new Error(msg.error));
+        else resolve({ E: msg.E, tree: msg.tree });
+      };
+      const onError = (err) => {
+        done();
+        reject(err);
+      };
+      // e.g. killed by the OS when out of memory: no 'error' event is emitted
+      const onExit = (code) => {
+        done();
+        reject(new Error(`Worker thread ${slot + 1} exited with code ${code} while solving ${word.toUpperCase()}`));
+      };
+      worker.once('message', onMessage);
+      worker.once('error', onError);
+      worker.once('exit', onExit);
+      worker.postMessage({ word });
+    });
+  }
+
+  return {
+    size: n,
+    solve,
+    // memo counts add up the per-thread memos
+    stats: () => stats.reduce((sum, st) => {
+      for (const k in st) sum[k] = (sum[k] || 0) + st[k];
+      return sum;
+    }, { statesEvaluated: 0, statesCutOff: 0, guessesPruned: 0, memoSize: 0, memoBytes: 0, hits: 0, misses: 0, evictions: 0 }),
+    close: () => Promise.all(workers.map(w => w.terminate()))
+  };
+}
+
+// Worker side: solve each starter posted by the main thread
+function workerMain() {
+  const { id, table, solverOpts, withTree, quiet } = workerData;
+  const log = quiet ? () => {} : (msg) => console.log(`[t${id}] ${msg}`);
+  const solver = createSolver(table, { ...solverOpts, log });
+  parentPort.on('message', ({ word }) => {
+    try {
+      parentPort.postMessage({ word, ...solveOne(solver, word, withTree), stats: solver.stats() });
+    } catch (e) {
+      parentPort.postMessage({ word, error: e.message, stats: solver.stats() });
+    }
   });
 }
 
-// sort results by E ascending (just for pretty output)
-results.sort((a, b) => a.E - b.E);
+// ============================
+// 6. Output
+// ============================
+
+// Bump when the numbers written change meaning (see the header)
+const FORMAT_VERSION = 2;
+
+function defaultOutName(opts) {
+  const list = path.basename(opts.answers, path.extname(opts.answers)) +
+    (opts.mode === 'normal' ? '_normal' : '');
+  const ext = opts.format === 'csv' ? '.csv' : '.json';
+  if (opts.command === 'rank') return `dp_rank_${list}${ext}`;
+  if (opts.command === 'word') return `dp_words_${list}${ext}`;
+  return `dp_top_block_${list}_K${opts.blockSize}_B${opts.block}${ext}`;
+}
+
+function toCsv(out) {
+  const cols = ['rank', 'word', 'entropy', 'E'].filter(c => out.results.some(r => r[c] !== undefined));
+  const lines = [cols.join(',')];
+  for (const r of out.results) lines.push(cols.map(c => r[c]).join(','));
+  return lines.join('\n') + '\n';
+}
+
+// Write to a temp file, then rename: a crash mid-write never leaves a
+// truncated result file behind.
+function writeFileAtomic(file, text) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, text, 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+function writeOutput(opts, out) {
+  writeFileAtomic(opts.outName, opts.format === 'csv' ? toCsv(out) : JSON.stringify(out, null, 2));
+}
+
+// --- Strategy trees (--tree <dir>) ---
+// verify_tree.js checks either file against a word list.
+// JSON: the run's metadata plus the nested tree, patterns as '0'/'1'/'2'.
+// Text: the common "tree file" layout, one line per answer with the
+// guesses and their feedback in B/Y/G up to the final GGGGG:
+//   salet BBBYB courd BGBBB gizmo GGGGG
+
+const TREE_LETTERS = { 0: 'B', 1: 'Y', 2: 'G' };
+
+function treeToLines(node, prefix = '', lines = []) {
+  const line = prefix + node.guess;
+  if (!node.next) {
+    lines.push(`${line} GGGGG`);
+    return lines;
+  }
+  // the guess was a remaining answer: that answer ends here
+  if (node.n > Object.values(node.next).reduce((sum, child) => sum + child.n, 0)) {
+    lines.push(`${line} GGGGG`);
+  }
+  for (const [pat, child] of Object.entries(node.next)) {
+    const fb = pat.replace(/[012]/g, d => TREE_LETTERS[d]);
+    treeToLines(child, `${line} ${fb} `, lines);
+  }
+  return lines;
+}
+
+function writeTree(opts, base, solved) {
+  fs.mkdirSync(opts.tree, { recursive: true });
+  const list = path.basename(opts.answers, path.extname(opts.answers)) +
+    (opts.mode === 'normal' ? '_normal' : '');
+  const stem = path.join(opts.tree, `tree_${list}_${solved.word}`);
+  const json = {
+    formatVersion: FORMAT_VERSION,
+    wordsFile: base.wordsFile,
+    guessesFile: base.guessesFile,
+    numCandidates: base.numCandidates,
+    mode: base.mode,
+    starter: solved.word,
+    E: solved.E,
+    tree: solved.tree
+  };
+  writeFileAtomic(`${stem}.json`, JSON.stringify(json));
+  writeFileAtomic(`${stem}.txt`, treeToLines(solved.tree).join('\n') + '\n');
+  return [`${stem}.json`, `${stem}.txt`];
+}
 
 // ============================
-// 9. Pretty print + save JSON
+// 7. Checkpoints (--resume, --memo-file)
 // ============================
 
-console.log(`\n========== SUMMARY (by E[steps]) ==========\n`);
-for (const r of results) {
-  console.log(
-    `#${r.rank.toString().padStart(4, ' ')}  ` +
-    `${r.word.toUpperCase().padEnd(8, ' ')}  ` +
-    `H=${r.entropy.toFixed(6)}  ` +
-    `E=${r.E.toFixed(6)}`
-  );
+// Starters already solved in an existing output file: word -> { E }
+function readResumeResults(opts, base, log) {
+  const done = new Map();
+  if (!fs.existsSync(opts.outName)) {
+    log(`[${timeStr()}] Nothing to resume: ${opts.outName} does not exist yet.`);
+    return done;
+  }
+  const prev = JSON.parse(fs.readFileSync(opts.outName, 'utf8'));
+  if (prev.formatVersion !== FORMAT_VERSION) {
+    throw new Error(`Cannot resume ${opts.outName}: it has output format ${prev.formatVersion || 1}, this version writes ${FORMAT_VERSION} (older files count one more step per solved answer)`);
+  }
+  for (const k of ['numCandidates', 'numGuesses', 'mode']) {
+    if (prev[k] !== undefined && prev[k] !== base[k]) {
+      throw new Error(`Cannot resume ${opts.outName}: it was run with ${k}=${prev[k]}, this run has ${base[k]}`);
+    }
+  }
+  for (const r of prev.results || []) {
+    if (r.word && Number.isFinite(r.E)) done.set(r.word, r);
+  }
+  log(`[${timeStr()}] Resuming ${opts.outName}: ${done.size} starters already solved.`);
+  return done;
+}
+
+// The memo is only valid for the same answers, mode and (normal mode) guess pool
+function memoFileHeader(answers, guesses, opts) {
+  const hash = crypto.createHash('sha1').update(answers.join('\n'));
+  if (opts.mode === 'normal') hash.update('|' + guesses.join('\n') + '|' + opts.tailPool);
+  return JSON.stringify({ dpMemo: FORMAT_VERSION, mode: opts.mode, lists: hash.digest('hex') });
+}
+
+// One state per line: "i1,i2,...<TAB>E", after a header line
+function saveMemoFile(solver, file, header) {
+  const tmp = `${file}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  let chunk = header + '\n';
+  for (const [cands, value] of solver.memoEntries()) {
+    chunk += `${cands.join(',')}\t${value}\n`;
+    if (chunk.length >= 1 << 20) {
+      fs.writeSync(fd, chunk);
+      chunk = '';
+    }
+  }
+  fs.writeSync(fd, chunk);
+  fs.closeSync(fd);
+  fs.renameSync(tmp, file);
+}
+
+function loadMemoFile(solver, file, header, log) {
+  const fd = fs.openSync(file, 'r');
+  const buf = Buffer.alloc(1 << 20);
+  let rest = '';
+  let first = true;
+  let loaded = 0;
+  try {
+    let n;
+    while ((n = fs.readSync(fd, buf, 0, buf.length, null)) > 0) {
+      const lines = (rest + buf.toString('utf8', 0, n)).split('\n');
+      rest = lines.pop();
+      for (const line of lines) {
+        if (first) {
+          first = false;
+          if (line !== header) {
+            log(`[${timeStr()}] Memo file ${file} is for other word lists or mode: ignored.`);
+            return;
+          }
+          continue;
+        }
+        const tab = line.indexOf('\t');
+        solver.memoLoad(line.slice(0, tab).split(',').map(Number), parseFloat(line.slice(tab + 1)));
+        loaded++;
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  log(`[${timeStr()}] Loaded ${loaded} memo states from ${file}.`);
+}
+
+// ============================
+// 8. CLI
+// ============================
+
+const USAGE = `Usage:
+  node dp_top_blocks.js rank  [options]
+  node dp_top_blocks.js exact [options]
+  node dp_top_blocks.js word  [options] <word> [word...]
+  node dp_top_blocks.js <answers_file> [blockSize] [blockIndex]   (same as exact)
+
+Options:
+  --answers <file>     answer list = candidate set (default words_2309.txt)
+  --guesses <file>     starters to rank / evaluate, and in normal mode the
+                       allowed guesses (default: the answers)
+  --mode hard|normal   guesses the DP may play (default hard)
+  --tail-pool <n>      normal mode: non-candidate guesses tried per state,
+                       most splitting first (default 0 = all, exact)
+  --block-size <n>     starters per block for exact (default 200)
+  --block <n>          1-based block index for exact (default 1)
+  --out <path>         output file (default: named after the answer list)
+  --format json|csv    output format (default json)
+  --memo-mb <n>        DP memo budget per thread in MB, least recently
+                       used states are evicted beyond it (default 1024)
+  --resume             keep the starters already solved in --out, solve the rest
+                       (json output only)
+  --memo-file <path>   also save the DP memo there (and load it with --resume)
+  --memo-every <min>   minutes between memo saves (default 30)
+  --tree <dir>         write each solved starter's optimal strategy tree
+                       there, as JSON and as a text tree file
+  --threads <n>        solve starters on n worker threads (default 1)
+  --quiet              no progress output
+  -h, --help           show this help`;
+
+const COMMANDS = ['rank', 'exact', 'word'];
+
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      answers:      { type: 'string' },
+      guesses:      { type: 'string' },
+      'block-size': { type: 'string' },
+      block:        { type: 'string' },
+      out:          { type: 'string' },
+      format:       { type: 'string', default: 'json' },
+      mode:         { type: 'string', default: 'hard' },
+      'tail-pool':  { type: 'string' },
+      threads:      { type: 'string' },
+      tree:         { type: 'string' },
+      'memo-mb':    { type: 'string' },
+      resume:       { type: 'boolean', default: false },
+      'memo-file':  { type: 'string' },
+      'memo-every': { type: 'string' },
+      quiet:        { type: 'boolean', default: false },
+      help:         { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  const opts = {
+    help: values.help,
+    answers: values.answers || 'words_2309.txt',
+    guesses: values.guesses || null,
+    blockSize: parseInt(values['block-size'] || '200', 10),
+    block: parseInt(values.block || '1', 10),
+    out: values.out || null,
+    format: values.format,
+    mode: values.mode,
+    tailPool: parseInt(values['tail-pool'] || '0', 10),
+    threads: parseInt(values.threads || '1', 10),
+    tree: values.tree || null,
+    memoMB: parseFloat(values['memo-mb'] || '1024'),
+    resume: values.resume,
+    memoFile: values['memo-file'] || null,
+    memoEvery: parseFloat(values['memo-every'] || '30'),
+    quiet: values.quiet,
+    command: 'exact',
+    words: []
+  };
+  if (positionals.length && COMMANDS.includes(positionals[0])) {
+    opts.command = positionals[0];
+    opts.words = positionals.slice(1).map(w => w.toLowerCase());
+    if (opts.command !== 'word' && opts.words.length) {
+      throw new Error(`Unexpected arguments for ${opts.command}: ${opts.words.join(' ')}`);
+    }
+  } else if (positionals.length) {
+    // Legacy form: <answers_file> [blockSize] [blockIndex]
+    if (positionals.length > 3) throw new Error(`Unknown command: ${positionals[0]}`);
+    opts.answers = positionals[0];
+    if (positionals[1] !== undefined) opts.blockSize = parseInt(positionals[1], 10);
+    if (positionals[2] !== undefined) opts.block = parseInt(positionals[2], 10);
+  }
+
+  if (opts.help) return opts;
+  if (!fs.existsSync(opts.answers)) throw new Error(`File not found: ${opts.answers}`);
+  if (opts.guesses && !fs.existsSync(opts.guesses)) throw new Error(`File not found: ${opts.guesses}`);
+  if (!(opts.blockSize > 0)) throw new Error(`--block-size must be a positive integer. Got: ${values['block-size']}`);
+  if (!(opts.block > 0)) throw new Error(`--block must be a positive integer (1-based). Got: ${values.block}`);
+  if (opts.mode !== 'hard' && opts.mode !== 'normal') throw new Error(`--mode must be hard or normal. Got: ${opts.mode}`);
+  if (!(opts.tailPool >= 0)) throw new Error(`--tail-pool must be a non-negative integer. Got: ${values['tail-pool']}`);
+  if (opts.format !== 'json' && opts.format !== 'csv') throw new Error(`--format must be json or csv. Got: ${opts.format}`);
+  // a CSV has no run metadata to check the resumed file against
+  if (opts.resume && opts.format === 'csv') throw new Error('--resume needs --format json');
+  if (!(opts.threads > 0)) throw new Error(`--threads must be a positive integer. Got: ${values.threads}`);
+  if (opts.threads > 1 && opts.memoFile) throw new Error('--memo-file needs --threads 1: each worker thread keeps its own memo');
+  if (!(opts.memoMB > 0)) throw new Error(`--memo-mb must be a positive number. Got: ${values['memo-mb']}`);
+  if (!(opts.memoEvery >= 0)) throw new Error(`--memo-every must be a number of minutes. Got: ${values['memo-every']}`);
+  opts.outName = opts.out || defaultOutName(opts);
+  if (opts.command === 'word') {
+    if (!opts.words.length) throw new Error('word: give at least one starter');
+    const bad = opts.words.filter(w => !/^[a-z]{5}$/.test(w));
+    if (bad.length) throw new Error(`Not 5-letter words: ${bad.join(' ')}`);
+  }
+  return opts;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  let opts;
+  try {
+    opts = parseCli(argv);
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return;
+  }
+  const log = opts.quiet ? () => {} : (...a) => console.log(...a);
+
+  log(`[${timeStr()}] Command     : ${opts.command}`);
+  log(`[${timeStr()}] Mode        : ${opts.mode}${opts.tailPool && opts.mode === 'normal' ? ` (tail pool ${opts.tailPool})` : ''}`);
+  log(`[${timeStr()}] Answers     : ${opts.answers}`);
+  if (opts.guesses) log(`[${timeStr()}] Guesses     : ${opts.guesses}`);
+  if (opts.command === 'exact') {
+    log(`[${timeStr()}] Block size  : ${opts.blockSize}`);
+    log(`[${timeStr()}] Block index : ${opts.block}`);
+  }
+
+  let out;
+  try {
+    out = await runCommand(opts, log);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+
+  writeOutput(opts, out);
+  log(`[${timeStr()}] Saved ${opts.format.toUpperCase()}: ${opts.outName}`);
+  log(`[${timeStr()}] Done.`);
+}
+
+if (!isMainThread && workerData && workerData.dpTopBlocks) {
+  workerMain();
+} else if (require.main === module) {
+  main();
 }
 
-console.log(
-  `\n[${timeStr()}] DP statesEvaluated=${statesEvaluated}, memo.size=${memo.size}\n`
-);
-
-const outJson = {
-  wordsFile: path.basename(WORD_FILE),
-  numCandidates: N,
-  blockSize: BLOCK_SIZE,
-  blockIndex: BLOCK_INDEX,
-  startRank: startRank + 1,
-  endRank,
-  results: results.map(r => ({
-    rank: r.rank,
-    word: r.word,
-    entropy: r.entropy,
-    E: r.E
-  })),
-  dpStatesEvaluated: statesEvaluated,
-  dpMemoSize: memo.size
-};
-
-const outName =
-  `dp_top_block_${path.basename(WORD_FILE, path.extname(WORD_FILE))}` +
-  `_K${BLOCK_SIZE}_B${BLOCK_INDEX}.json`;
-
-fs.writeFileSync(outName, JSON.stringify(outJson, null, 2), 'utf8');
-console.log(`[${timeStr()}] Saved summary JSON: ${outName}`);
-console.log(`[${timeStr()}] Done.`);
+module.exports = { patternFor, patternCode, patternString, loadWords, treeToLines, buildPatternTable, createSolver, rankByEntropy };
@@ -0,0 +1,603 @@
+/* =====================================
+   Wordle Lab – Engine
+   Pure scoring functions shared by the page (main.js)
+   and the recommender worker (suggest_worker.js).
+   No DOM access in this file.
+   ===================================== */
+
+/* ===== Wordle feedback ===== */
+// Feedback is encoded as a base-3 code 0–242: gray=0, yellow=1, green=2,
+// first letter most significant. So '00000' is 0 and '22222' is 242.
+const PATTERN_SOLVED = 242;
+const PATTERN_STRINGS = Array.from({length:243}, (_, c) => {
+	let s = '';
+	for (let i = 0; i < 5; i++) {
+		s = String(c % 3) + s;
+		c = Math.floor(c / 3);
+	}
+	return s;
+});
+const _letterCnt = new Uint8Array(26);
+const _marks = new Uint8Array(5);
+function patternCode(guess, answer){
+	const marks=_marks;
+	for(let i=0;i<5;i++){
+		if(answer.charCodeAt(i)===guess.charCodeAt(i)){
+			marks[i]=2;
+		} else {
+			marks[i]=0;
+			_letterCnt[answer.charCodeAt(i)-97]++;
+		}
+	}
+	for(let i=0;i<5;i++){
+		if(marks[i]===2) continue;
+		const ch=guess.charCodeAt(i)-97;
+		if(_letterCnt[ch]>0){
+			marks[i]=1;
+			_letterCnt[ch]--;
+		}
+	}
+	for(let i=0;i<5;i++) _letterCnt[answer.charCodeAt(i)-97]=0;
+	return (((marks[0]*3+marks[1])*3+marks[2])*3+marks[3])*3+marks[4];
+}
+function pattern(guess, answer){
+	return PATTERN_STRINGS[patternCode(guess, answer)];
+}
+
+/* ===== Guess history → letter constraints =====
+   history: [{ guess:'crane', fb:'01200' }, ...] with fb digits as in pattern().
+   Rebuilds the set model used by apply() from scratch:
+   - green at i  → pos[i].include = {ch}, ch in globalInclude
+   - yellow at i → ch in pos[i].exclude, ch in globalInclude
+   - gray at i   → if ch is green/yellow elsewhere in the SAME row (duplicate letter),
+                   it only means "not at i" (ch in pos[i].exclude); otherwise ch is
+                   nowhere in the word (globalExclude)
+   Plus a letter-count model the sets cannot express (e.g. "exactly one E",
+   "at least two S"): counts = Map(letter → { min, max }). In each row a letter
+   occurs at least (green + yellow) times, and exactly that often if it also
+   has a gray tile.
+   Contradictions between rows are reported in `conflicts` (the include side wins). */
+function constraintsFromHistory(history) {
+	const pos = Array.from({length:5}, () => ({ include: new Set(), exclude: new Set() }));
+	const globalInclude = new Set(), globalExclude = new Set();
+	const counts = new Map();
+	const conflicts = [];
+	for (const { guess, fb } of history) {
+		const present = new Set();
+		const seen = {}, grayed = new Set();
+		for (let i = 0; i < 5; i++) {
+			if (fb[i] !== '0') {
+				present.add(guess[i]);
+				seen[guess[i]] = (seen[guess[i]] || 0) + 1;
+			} else {
+				grayed.add(guess[i]);
+			}
+		}
+		for (const ch of new Set(guess)) {
+			const k = seen[ch] || 0;
+			const c = counts.get(ch) || { min: 0, max: 5 };
+			c.min = Math.max(c.min, k);
+			if (grayed.has(ch)) c.max = Math.min(c.max, k);
+			if (c.min > 0 || c.max < 5) counts.set(ch, c);
+		}
+		for (let i = 0; i < 5; i++) {
+			const ch = guess[i];
+			if (fb[i] === '2') {
+				const prev = [...pos[i].include][0];
+				if (prev && prev !== ch) {
+					conflicts.push(`Position ${i + 1} is green for both "${prev.toUpperCase()}" and "${ch.toUpperCase()}".`);
+				}
+				pos[i].include = new Set([ch]);
+				globalInclude.add(ch);
+			} else if (fb[i] === '1' || present.has(ch)) {
+				pos[i].exclude.add(ch);
+				if (fb[i] === '1') globalInclude.add(ch);
+			} else {
+				globalExclude.add(ch);
+			}
+		}
+	}
+	for (const ch of globalExclude) {
+		if (globalInclude.has(ch)) {
+			conflicts.push(`"${ch.toUpperCase()}" is gray in one guess but green/yellow in another.`);
+			globalExclude.delete(ch);
+		}
+	}
+	for (let i = 0; i < 5; i++) {
+		for (const ch of pos[i].include) {
+			if (pos[i].exclude.delete(ch)) {
+				conflicts.push(`"${ch.toUpperCase()}" is both green and not-green at position ${i + 1}.`);
+			}
+		}
+	}
+	for (const [ch, c] of counts) {
+		if (c.min > c.max) {
+			conflicts.push(`"${ch.toUpperCase()}" must appear at least ${c.min} but at most ${c.max} time(s).`);
+			c.max = c.min;
+		}
+	}
+	return { pos, globalInclude, globalExclude, counts, conflicts };
+}
+
+/* Pattern code of a feedback string ('01200' → base-3 code) */
+function feedbackCode(fb) {
+	let code = 0;
+	for (let i = 0; i < 5; i++) code = code * 3 + (fb.charCodeAt(i) - 48);
+	return code;
+}
+
+/* Does w satisfy every { min, max } letter count? */
+function letterCountsAllow(w, counts) {
+	for (const [ch, c] of counts) {
+		let k = 0;
+		for (let i = 0; i < 5; i++) if (w[i] === ch) k++;
+		if (k < c.min || k > c.max) return false;
+	}
+	return true;
+}
+
+/* ===== Pattern table =====
+   PAT[guess][answer] as Uint8Array rows of pattern codes over the loaded list
+   (same idea as the PAT table in dp_top_blocks.js). Rows are computed lazily
+   the first time a guess is scored and kept up to maxBytes (by default
+   PATTERN_TABLE_MAX_BYTES; the page gives each worker a share of its budget);
+   past that the oldest rows are dropped, so the 14,855-word pool stays bounded.
+   Answers outside the loaded list fall back to patternCode(). */
+const PATTERN_TABLE_MAX_BYTES = 64 * 1024 * 1024;
+let patternTable = null;
+
+function createPatternTable(answers, maxBytes = PATTERN_TABLE_MAX_BYTES){
+	const n = answers.length;
+	const index = new Map();
+	answers.forEach((w, j) => index.set(w, j));
+	const rows = new Map();
+	const maxRows = Math.max(1, Math.floor(maxBytes / Math.max(1, n)));
+	function row(guess){
+		let r = rows.get(guess);
+		if (r) return r;
+		r = new Uint8Array(n);
+		for (let j = 0; j < n; j++) r[j] = patternCode(guess, answers[j]);
+		if (rows.size >= maxRows) rows.delete(rows.keys().next().value);
+		rows.set(guess, r);
+		return r;
+	}
+	return { answers, index, rows, row };
+}
+/* Build (once per loaded list) the table every scorer below reads from */
+function usePatternTable(answers, maxBytes){
+	if (patternTable && patternTable.answers === answers) return patternTable;
+	patternTable = createPatternTable(answers, maxBytes);
+	_indexCache = new WeakMap(); // indices point into the old table
+	return patternTable;
+}
+
+// Table indices of S, cached per array: deep evaluators partition the same
+// bucket once per follow-up guess.
+let _indexCache = new WeakMap();
+function answerIndices(S){
+	let idx = _indexCache.get(S);
+	if (idx) return idx;
+	idx = new Int32Array(S.length);
+	const index = patternTable ? patternTable.index : null;
+	for (let k = 0; k < S.length; k++) {
+		const j = index ? index.get(S[k]) : undefined;
+		idx[k] = (j === undefined) ? -1 : j;
+	}
+	_indexCache.set(S, idx);
+	return idx;
+}
+/* Pattern codes of guess against every answer in S (Uint8Array, same order as S) */
+function patternCodesFor(S, guess){
+	const out = new Uint8Array(S.length);
+	const idx = answerIndices(S);
+	const row = patternTable ? patternTable.row(guess) : null;
+	for (let k = 0; k < S.length; k++) {
+		out[k] = (idx[k] >= 0) ? row[idx[k]] : patternCode(guess, S[k]);
+	}
+	return out;
+}
+
+function partitionByPattern(S, guess){
+	const map=new Map();
+	const codes=patternCodesFor(S, guess);
+	for(let k=0;k<S.length;k++){
+		const p=PATTERN_STRINGS[codes[k]];
+		let arr=map.get(p);
+		if(!arr){
+			arr=[];
+			map.set(p,arr);
+		}
+		arr.push(S[k]);
+	}
+	return map;
+}
+/* Bucket sizes only (no word arrays): enough for entropy / E[cands] / Max Bucket */
+function entropyAndExpectedSize(S, guess){
+    const codes = patternCodesFor(S, guess);
+    const counts = new Uint32Array(243);
+    for (let k = 0; k < codes.length; k++) counts[codes[k]]++;
+    const n = S.length;
+    let H = 0, exp = 0, maxb = 0;
+
+    for(let c = 0; c < 243; c++){
+        const size = counts[c];
+        if(!size) continue;
+        const p = size / n;
+        H += -p * Math.log2(p);
+        exp += p * size;
+        if(size > maxb) maxb = size;
+    }
+
+    return {
+        entropy: H,
+        expected: exp,
+        maxBucket: maxb
+    };
+}
+
+/* ===== Hard Mode legality =====
+   Real Wordle Hard Mode: revealed greens must stay in place and revealed
+   letters must be reused (at least as often as they were revealed).
+   rules: { greens: [5 × letter|null], minCounts: { letter: n } } */
+function isHardModeLegal(word, rules) {
+	for (let i = 0; i < 5; i++) {
+		if (rules.greens[i] && word[i] !== rules.greens[i]) return false;
+	}
+	for (const ch in rules.minCounts) {
+		let k = 0;
+		for (let i = 0; i < 5; i++) if (word[i] === ch) k++;
+		if (k < rules.minCounts[ch]) return false;
+	}
+	return true;
+}
+
+/* Hard Mode rules from letter filters (the shape constraintsFromHistory returns):
+   pos[i].include, globalInclude, letterCounts (letter → { min, max }) */
+function hardRulesFrom(pos, globalInclude, letterCounts) {
+	const greens = pos.map(p => (p.include.size === 1 ? [...p.include][0] : null));
+	const minCounts = {};
+	for (const ch of globalInclude) minCounts[ch] = 1;
+	for (const ch of greens) if (ch) minCounts[ch] = Math.max(minCounts[ch] || 0, greens.filter(g => g === ch).length);
+	for (const [ch, c] of letterCounts) if (c.min > 0) minCounts[ch] = Math.max(minCounts[ch] || 0, c.min);
+	return { greens, minCounts };
+}
+
+/* Build a capped guess pool: top-K from S + top-N from external (by cheap pre-score)
+   opts: { guessMode, hardRules, maxCand, maxPool }
+   - guessMode 'normal': any external word
+   - guessMode 'hard':   only external words legal under opts.hardRules
+   - guessMode 'cands':  candidates only (no external words)
+   onProgress(done, total) is called every 50 ranked words (optional). */
+function buildGuessPoolCapped(S, ext, opts, onProgress) {
+	const n = S.length;
+	const K = Math.max(1, Number(opts.maxCand) || n);          // Candidates threshold
+	const N = (opts.guessMode === 'cands') ? 0 : Math.max(0, Number(opts.maxPool) || 0); // Pool threshold
+	let extList = (N > 0 && ext) ? ext : [];
+	if (opts.guessMode === 'hard' && opts.hardRules) {
+		extList = extList.filter(g => isHardModeLegal(g, opts.hardRules));
+	}
+	const total = n + extList.length;
+	let done = 0;
+	const tick = () => {
+		if (onProgress && ++done % 50 === 0) onProgress(done, total);
+	};
+	/* Cheap metric: entropy + tie-break by expected size */
+	function cheapScoreFor(word, set) {
+		const met = entropyAndExpectedSize(set, word);
+		return {
+			score: met.entropy, expected: met.expected
+		};
+	}
+	const byScore = (a, b) => (b.score - a.score) || (a.expected - b.expected);
+	/* ===== Rank S by cheap score, keep top-K ===== */
+	const scoredS = [];
+	for (const g of S) {
+		const { score, expected } = cheapScoreFor(g, S);
+		scoredS.push({
+			g, score, expected
+		});
+		tick();
+	}
+	scoredS.sort(byScore);
+	const topS = scoredS.slice(0, Math.min(K, scoredS.length)).map(x => x.g);
+	/* ===== Rank external by cheap score against S, keep top-N ===== */
+	const baseSet = new Set(S);
+	const scoredExt = [];
+	for (const g of extList) {
+		if (baseSet.has(g)) continue;
+		const { score, expected } = cheapScoreFor(g, S);
+		scoredExt.push({
+			g, score, expected
+		});
+		tick();
+	}
+	scoredExt.sort(byScore);
+	const topExt = scoredExt.slice(0, Math.min(N, scoredExt.length)).map(x => x.g);
+	return [...topS, ...topExt]; // Final capped pool = top-K from S + top-N from external
+}
+
+// Heuristic for "extra guesses" needed in a leaf bucket of size k
+// This returns the *additional* expected guesses after we are already in that bucket.
+function leafExtraGuesses(k) {
+  if (k <= 1) return 1;
+  return 1 + 0.20 * Math.pow(k, 0.55);
+}
+
+
+// Leaf model of the one-lookahead estimate: 1 more guess for a singleton, 2 otherwise
+function leafFlatGuesses(k) {
+  return (k <= 1) ? 1 : 2;
+}
+
+/* ===== Depth-parameterized lookahead =====
+   E[steps] if we play g now, then the best follow-up guess (chosen inside
+   each bucket) for depth - 1 more levels, then approximate the remaining leaf.
+
+   opts:
+   - depth: guesses simulated, g included (2..8). 2 is EstepsOneLookahead;
+            4..8 are the old hand-unrolled T1..T5 (and 3steps.txt..8steps.txt).
+   - caps:  per-level branching caps; caps[0] limits the g2 candidates tried in
+            each bucket, caps[1] the g3 candidates, ... (0 / missing = try all).
+            Capped levels keep the highest-entropy words of the bucket.
+   - leaf:  'flat' (leafFlatGuesses) or 'curve' (leafExtraGuesses).
+
+   Cost model:
+   - Every actual guess (g, g2, g3, …) contributes +1 turn.
+   - The “leaf” buckets add a small extra cost depending on size.
+*/
+function EstepsLookahead(S, g, opts) {
+	const depth = Math.max(1, opts.depth | 0);
+	const caps = opts.caps || [];
+	const leafCost = (opts.leaf === 'flat') ? leafFlatGuesses : leafExtraGuesses;
+
+	// Follow-up guesses tried at this level (all of arr unless capped)
+	function branches(arr, level) {
+		const cap = caps[level - 2] | 0;
+		if (!cap || arr.length <= cap) return arr;
+		return arr
+			.map(w => ({ w, h: entropyAndExpectedSize(arr, w).entropy }))
+			.sort((a, b) => b.h - a.h)
+			.slice(0, cap)
+			.map(x => x.w);
+	}
+	// Expected turns from `set` when `guess` is the level-th guess
+	function costAfter(set, guess, level) {
+		const n = set.length;
+		let est = 0;
+		for (const [pat, arr] of partitionByPattern(set, guess).entries()) {
+			const p = arr.length / n;
+			if (pat === '22222') {
+				est += p * 1;                              // solved by this guess
+			} else if (level >= depth) {
+				est += p * (1 + leafCost(arr.length));     // leaf: approximate remaining cost
+			} else {
+				let best = Infinity;                       // best next guess inside this bucket
+				for (const g2 of branches(arr, level + 1)) {
+					const e2 = costAfter(arr, g2, level + 1);
+					if (e2 < best) best = e2;
+				}
+				est += p * (1 + best);                     // 1 for this guess, plus best subtree
+			}
+		}
+		return est;
+	}
+	return costAfter(S, g, 1);
+}
+
+/* One-lookahead E[steps]: g, best g2 per bucket, flat leaf */
+function EstepsOneLookahead(S, g) {
+	return EstepsLookahead(S, g, { depth: 2, leaf: 'flat' });
+}
+
+const HIDDEN_LEVEL2_LIMIT = 250;
+const HIDDEN_LEVEL3_LIMIT = 150;
+const HIDDEN_LEVEL4_LIMIT = 100;
+const HIDDEN_LEVEL5_LIMIT = 50;
+
+/* Deep E[steps] depth picked from the candidate count (the smaller S, the deeper) */
+function autoLookaheadDepth(n) {
+	if (n > HIDDEN_LEVEL2_LIMIT) return 4;
+	if (n > HIDDEN_LEVEL3_LIMIT) return 5;
+	if (n > HIDDEN_LEVEL4_LIMIT) return 6;
+	if (n > HIDDEN_LEVEL5_LIMIT) return 7;
+	return 8;
+}
+
+function EstepsOneLookaheadDeep(S, g) {
+	return EstepsLookahead(S, g, { depth: autoLookaheadDepth(S.length), leaf: 'curve' });
+}
+
+/* Lookahead settings for a recommender run over n candidates:
+   an explicit opts.depth wins; otherwise Deep Limit (opts.useDeep) decides */
+function lookaheadFor(opts, n) {
+	if (opts.depth) {
+		return {
+			depth: opts.depth,
+			caps: opts.branchCap ? Array(opts.depth).fill(opts.branchCap) : [],
+			leaf: opts.depth <= 2 ? 'flat' : 'curve'
+		};
+	}
+	return opts.useDeep
+		? { depth: autoLookaheadDepth(n), leaf: 'curve' }
+		: { depth: 2, leaf: 'flat' };
+}
+
+/* ===== Exact E[steps] (browser port of solveTail in dp_top_blocks.js) =====
+   Memoized DP over candidate sets: E(S) = optimal expected guesses from S.
+   - hard:   guesses restricted to the current candidate set (as in dp_top_blocks.js)
+   - normal: guesses may be any word of S or of `extGuesses` (the recommender's capped pool)
+   A guess that scores 22222 ends the game, so that bucket adds nothing.
+   Only meant for small S (see EXACT_LIMIT in main.js). */
+function createExactSolver(S, extGuesses, hard) {
+	const n = S.length;
+	const table = createPatternTable(S); // local table: answer index = position in S
+	const inS = new Set(S);
+	const guessWords = hard ? S.slice() : S.concat((extGuesses || []).filter(g => !inS.has(g)));
+	const guessIndex = new Map();
+	guessWords.forEach((g, i) => guessIndex.set(g, i));
+	const rows = guessWords.map(g => table.row(g));
+	const memo = new Map();   // key: "i1,i2,...", value: expected steps
+	let statesEvaluated = 0;
+
+	// Partition cands by the guess row; solved answers (22222) are dropped
+	function split(row, cands) {
+		const buckets = new Map();
+		for (const ansIdx of cands) {
+			const pat = row[ansIdx];
+			if (pat === PATTERN_SOLVED) continue;
+			let arr = buckets.get(pat);
+			if (!arr) {
+				arr = [];
+				buckets.set(pat, arr);
+			}
+			arr.push(ansIdx);
+		}
+		return buckets;
+	}
+
+	function solveTail(cands) {
+		const len = cands.length;
+		if (len <= 0) return 0;    // degenerate
+		if (len === 1) return 1;   // guess that word now
+		if (len === 2) return 1.5; // guess one of them: 1 or 2 turns
+		const key = cands.join(',');
+		const cached = memo.get(key);
+		if (cached !== undefined) return cached;
+		statesEvaluated++;
+
+		let bestE = Infinity;
+		const tryGuess = (gi, isCand) => {
+			const buckets = split(rows[gi], cands);
+			// A non-candidate guess that does not split the set is wasted
+			if (!isCand && buckets.size === 1) return;
+			let expectedTail = 0;
+			for (const arr of buckets.values()) {
+				expectedTail += (arr.length / len) * solveTail(arr);
+				// simple branch-and-bound
+				if (1 + expectedTail >= bestE) return;
+			}
+			if (1 + expectedTail < bestE) bestE = 1 + expectedTail;
+		};
+		// Candidates first: they are the only guesses in hard mode and
+		// usually the best ones in normal mode, which tightens bestE early.
+		// Normal mode then tries every other word: answers of S outside this
+		// bucket, then the pool.
+		for (const ansIdx of cands) tryGuess(ansIdx, true);
+		if (!hard) {
+			const inCands = new Set(cands);
+			for (let gi = 0; gi < guessWords.length; gi++) {
+				if (!inCands.has(gi)) tryGuess(gi, false);
+			}
+		}
+
+		memo.set(key, bestE);
+		return bestE;
+	}
+
+	/* Exact E[steps] if we FORCE guess g now, then play optimally */
+	function solveWithFixedRoot(g) {
+		const gi = guessIndex.has(g) ? guessIndex.get(g) : -1;
+		const row = gi >= 0 ? rows[gi] : table.row(g);
+		const all = Array.from({ length: n }, (_, j) => j);
+		let expectedTail = 0;
+		for (const arr of split(row, all).values()) {
+			expectedTail += (arr.length / n) * solveTail(arr);
+		}
+		return 1 + expectedTail;
+	}
+
+	/* Exact E[steps] of a subset of S (one bucket below some root guess) */
+	function solveSet(words) {
+		const cands = words.map(w => table.index.get(w)).sort((a, b) => a - b);
+		return solveTail(cands);
+	}
+
+	return {
+		solveWithFixedRoot,
+		solveSet,
+		stats: () => ({ statesEvaluated, memoSize: memo.size })
+	};
+}
+
+/* One recommender row for guess g over candidate set S
+   (exactSolver is optional: adds the true optimal E[steps] as row.exact) */
+function evaluateGuess(S, g, opts, exactSolver) {
+	const exp = EstepsLookahead(S, g, lookaheadFor(opts, S.length));
+	const met = entropyAndExpectedSize(S, g);
+	const row = {
+		word: g,
+		esteps: exp,
+		entropy: met.entropy,
+		expected: met.expected,
+		maxBucket: met.maxBucket
+	};
+	if (exactSolver) row.exact = exactSolver.solveWithFixedRoot(g);
+	return row;
+}
+
+/* ===== Strategy simulation =====
+   Plays the recommender against every answer of S: the recommender's pick for
+   the current candidates is guessed, pattern() tells which bucket the answer
+   falls into, and each bucket is played on recursively. Walking the decision
+   tree this way costs one recommender call per tree node instead of one per
+   answer and turn.
+   opts: the recommender options without the per-node fields; maxCand 0 = all
+   candidates, deepLimit decides useDeep per node, hard rules come from the path. */
+const SIM_MAX_GUESSES = 12; // deeper paths are given up and count as failures
+
+function simNodeOptions(opts, S, history) {
+	const n = S.length;
+	const node = { ...opts, maxCand: opts.maxCand || n, useDeep: opts.deepLimit > 0 && n <= opts.deepLimit, exact: false };
+	if (opts.guessMode === 'hard') {
+		const c = constraintsFromHistory(history);
+		node.hardRules = hardRulesFrom(c.pos, c.globalInclude, c.counts);
+	}
+	return node;
+}
+
+/* The recommender's pick for S (its evaluateGuess row): the evaluated pool
+   ordered like the suggestion table (E[steps], then entropy, then E[cands]) */
+function bestRowFor(S, ext, opts) {
+	if (S.length === 1) return { word: S[0], esteps: 1, entropy: 0, expected: 1, maxBucket: 1 };
+	let best = null;
+	for (const g of buildGuessPoolCapped(S, ext, opts)) {
+		const r = evaluateGuess(S, g, opts, null);
+		if (!best || ((r.esteps - best.esteps) || (best.entropy - r.entropy) || (r.expected - best.expected)) < 0) best = r;
+	}
+	return best || evaluateGuess(S, S[0], opts, null);
+}
+
+/* Simulate every answer of S, reached after history ([{ guess, fb }]).
+   Calls onSolved(answer, guesses) per answer (guesses = SIM_MAX_GUESSES + 1 when
+   given up) and returns the number of recommender calls made. */
+function simulateStrategy(S, ext, opts, history, onSolved) {
+	// Outside Hard Mode the pick only depends on the candidate set
+	const memo = opts.guessMode === 'hard' ? null : new Map();
+	let nodes = 0;
+	function play(S, history) {
+		const turn = history.length + 1;
+		if (turn > SIM_MAX_GUESSES) {
+			for (const w of S) onSolved(w, SIM_MAX_GUESSES + 1);
+			return;
+		}
+		const key = memo && S.join();
+		let g = memo && memo.get(key);
+		if (!g) {
+			g = bestRowFor(S, ext, simNodeOptions(opts, S, history)).word;
+			if (S.length > 1) nodes++;
+			if (memo) memo.set(key, g);
+		}
+		let buckets = partitionByPattern(S, g);
+		// A guess that does not split S would loop forever: fall back to a candidate
+		if (buckets.size === 1 && !S.includes(g)) {
+			g = S[0];
+			buckets = partitionByPattern(S, g);
+		}
+		for (const [fb, bucket] of buckets) {
+			if (fb === PATTERN_STRINGS[PATTERN_SOLVED]) onSolved(g, turn);
+			else play(bucket, history.concat([{ guess: g, fb }]));
+		}
+	}
+	play(S, history);
+	return nodes;
+}
@@ -7,6 +7,10 @@ const state={
 	globalInclude:new Set(), globalExclude:new Set(),
 	pos:Array.from({length:5},()=>({include:new Set(),exclude:new Set()})),
 	activePos:0,
+	history:[],      // [{ guess, fb }] rows of the Guess History panel
+	historyEdit:-1,  // row index being edited in the entry box (-1 = adding)
+	exactFeedback:true, // with history: keep only words giving the exact observed feedback
+	letterCounts:new Map(), // letter → { min, max } occurrences
 	base2309:[], base3207:[], base14855:[],
 	cancel:false
 };
@@ -113,8 +117,7 @@ function setFilterMode(mode) {
 		btn.title       = 'Click to switch to Advanced Mode';
 	}
 	currentMode = mode;
-	// Optional: remember in localStorage
-	// localStorage.setItem('wf-filter-mode', mode);
+	saveSession();
 }
 
 function initFilterModeToggle() {
@@ -388,6 +391,8 @@ function buildKeyboard(container, kind) {
 					showToast(`"${letter.toUpperCase()}" was removed from all Green and Yellow Letters.`, "error");
 				}
 			}
+			// A keyboard edit wins over a Letter Count it contradicts
+			reconcileLetterCount(d.dataset.ch);
 			// Re-render keyboards and apply new filters
 			refresh();
 			apply();
@@ -396,6 +401,107 @@ function buildKeyboard(container, kind) {
 	}
 }
 
+/* ===== Letter counts (Advanced Mode) ===== */
+// state.letterCounts: letter → { min, max } occurrences, enforced by apply().
+function isLetterRequired(letter){
+	return state.globalInclude.has(letter) || state.pos.some(p => p.include.has(letter));
+}
+function reconcileLetterCount(letter){
+	const c = state.letterCounts.get(letter);
+	if (!c) return;
+	if ((c.max === 0 && isLetterRequired(letter)) || (c.min > 0 && state.globalExclude.has(letter))) {
+		state.letterCounts.delete(letter);
+		showToast(`"${letter.toUpperCase()}" was removed from Letter Counts.`, "error");
+	}
+}
+function setLetterCount(letter, min, max){
+	const L = letter.toUpperCase();
+	if (!(min >= 0 && max <= 5 && Number.isInteger(min) && Number.isInteger(max))) {
+		showToast('Min and Max must be whole numbers from 0 to 5.', 'error');
+		return;
+	}
+	if (min > max) {
+		showToast(`Min (${min}) cannot exceed Max (${max}) for "${L}".`, 'error');
+		return;
+	}
+	if (max === 0) {
+		// Letter is absent: drop every Include that says otherwise
+		if (state.globalInclude.delete(letter)) {
+			showToast(`"${L}" was removed from Global Include.`, "error");
+		}
+		state.pos.forEach((p, i) => {
+			if (p.include.delete(letter)) {
+				showToast(`"${L}" was removed from Position Include (Position ${i + 1}).`, "error");
+			}
+		});
+	} else {
+		if (min > 0 && state.globalExclude.delete(letter)) {
+			showToast(`"${L}" was removed from Global Exclude.`, "error");
+		}
+		// More greens than Max allows: the new count wins
+		const greens = state.pos.filter(p => p.include.has(letter)).length;
+		if (greens > max) {
+			state.pos.forEach((p, i) => {
+				if (p.include.delete(letter)) {
+					showToast(`"${L}" was removed from Position Include (Position ${i + 1}).`, "error");
+				}
+			});
+		}
+	}
+	if (min === 0 && max === 5) state.letterCounts.delete(letter);
+	else state.letterCounts.set(letter, { min, max });
+	refresh();
+	apply();
+}
+function renderLetterCounts(){
+	const box = byId('countList');
+	if (!box) return;
+	box.innerHTML = '';
+	const letters = [...state.letterCounts.keys()].sort();
+	if (!letters.length) {
+		box.innerHTML = '<span class="hint">No letter counts.</span>';
+		return;
+	}
+	for (const ch of letters) {
+		const c = state.letterCounts.get(ch);
+		const chip = document.createElement('span');
+		chip.className = 'count-chip';
+		chip.textContent = `${ch.toUpperCase()} ${c.min === c.max ? '= ' + c.min : c.min + '–' + c.max}`;
+		chip.title = 'Click to edit';
+		chip.onclick = () => {
+			byId('countLetter').value = ch;
+			byId('countMin').value = c.min;
+			byId('countMax').value = c.max;
+		};
+		const x = document.createElement('button');
+		x.className = 'hist-btn';
+		x.textContent = '×';
+		x.title = 'Remove this letter count';
+		x.onclick = (e) => {
+			e.stopPropagation();
+			state.letterCounts.delete(ch);
+			refresh();
+			apply();
+		};
+		chip.appendChild(x);
+		box.appendChild(chip);
+	}
+}
+function initLetterCounts(){
+	const sel = byId('countLetter');
+	if (!sel) return;
+	for (const ch of ALPHA) {
+		const o = document.createElement('option');
+		o.value = ch.toLowerCase();
+		o.textContent = ch;
+		sel.appendChild(o);
+	}
+	byId('countSet').onclick = () => {
+		setLetterCount(sel.value, Number(byId('countMin').value), Number(byId('countMax').value));
+	};
+	renderLetterCounts();
+}
+
 function toggle(primary,secondary,ch){
 	if(primary.has(ch)) primary.delete(ch);
 	else {
@@ -429,6 +535,7 @@ function refresh(){
 		e.classList.toggle('exc', state.globalExclude.has(e.dataset.ch));
 		e.classList.remove('inc');
 	}
+	renderLetterCounts();
 	/* for(const t of byId('tabs').children) t.classList.toggle('active',Number(t.dataset.idx)===state.activePos); */
 	// Tabs in both Advanced & Basic panels
 	for (const tabsId of ['advTabs', 'basicTabs']) {
@@ -500,6 +607,7 @@ function renderTabs() {
 				// if (state.activePos === i) return;  // clicking same tab: do nothing
 				// state.activePos = i;
 				refresh();
+				saveSession();
 				if (dir) {
 					flashPosPanels(dir);
 				}
@@ -534,6 +642,221 @@ function flashPosPanels(direction) {
 }
 
 
+/* ===== Guess history ===== */
+// Each row is a played guess plus its feedback (fb: '0' gray, '1' yellow, '2' green).
+// Any edit rebuilds state.pos / globalInclude / globalExclude from scratch.
+const FB_CYCLE = { '0': '1', '1': '2', '2': '0' };
+
+function applyHistory(){
+	const c = constraintsFromHistory(state.history);
+	state.pos = c.pos;
+	state.globalInclude = c.globalInclude;
+	state.globalExclude = c.globalExclude;
+	state.letterCounts = c.counts;
+	for (const msg of c.conflicts) showToast(msg, 'error');
+	renderHistory();
+	refresh();
+	apply();
+}
+function renderHistory(){
+	const box = byId('historyRows');
+	if (!box) return;
+	box.innerHTML = '';
+	const remaining = historyRemaining(state.history);
+	state.history.forEach((row, idx) => {
+		const r = document.createElement('div');
+		r.className = 'hist-row' + (idx === state.historyEdit ? ' editing' : '');
+		if (remaining[idx] === 0) {
+			r.classList.add('inconsistent');
+			r.title = 'No word in the loaded list gives this feedback together with the rows above';
+		}
+		for (let i = 0; i < 5; i++) {
+			const t = document.createElement('div');
+			t.className = 'tile fb' + row.fb[i];
+			t.textContent = row.guess[i].toUpperCase();
+			t.title = 'Click to cycle gray → yellow → green';
+			t.onclick = () => {
+				row.fb = row.fb.slice(0, i) + FB_CYCLE[row.fb[i]] + row.fb.slice(i + 1);
+				applyHistory();
+			};
+			r.appendChild(t);
+		}
+		const edit = document.createElement('button');
+		edit.className = 'hist-btn';
+		edit.textContent = '✎';
+		edit.title = 'Edit this guess';
+		edit.onclick = () => {
+			state.historyEdit = idx;
+			byId('historyInput').value = row.guess.toUpperCase();
+			byId('historyAdd').textContent = 'Update';
+			byId('historyInput').focus();
+			renderHistory();
+		};
+		const del = document.createElement('button');
+		del.className = 'hist-btn';
+		del.textContent = '×';
+		del.title = 'Remove this guess';
+		del.onclick = () => {
+			state.history.splice(idx, 1);
+			endHistoryEdit();
+			applyHistory();
+		};
+		r.appendChild(edit);
+		r.appendChild(del);
+		box.appendChild(r);
+	});
+}
+// Words of the loaded list still consistent after each row (exact feedback)
+function historyRemaining(rows){
+	let left = state.all;
+	return rows.map(h => {
+		const code = feedbackCode(h.fb);
+		left = left.filter(w => patternCode(h.guess, w) === code);
+		return left.length;
+	});
+}
+function endHistoryEdit(){
+	state.historyEdit = -1;
+	byId('historyInput').value = '';
+	byId('historyAdd').textContent = 'Add';
+}
+function submitHistoryEntry(){
+	const guess = (byId('historyInput').value || '').trim().toLowerCase();
+	if (!/^[a-z]{5}$/.test(guess)) {
+		showToast('Please enter a 5-letter guess (A–Z).', 'error');
+		return;
+	}
+	const editing = state.history[state.historyEdit];
+	if (editing) {
+		// Keep the tile colors; only the letters change
+		editing.guess = guess;
+	} else {
+		state.history.push({ guess, fb: '00000' });
+	}
+	endHistoryEdit();
+	applyHistory();
+}
+function initHistoryPanel(){
+	const ipt = byId('historyInput');
+	const add = byId('historyAdd');
+	if (!ipt || !add) return;
+	add.onclick = submitHistoryEntry;
+	const exact = byId('exactFeedback');
+	if (exact) {
+		exact.checked = state.exactFeedback;
+		exact.onchange = () => {
+			state.exactFeedback = exact.checked;
+			apply();
+		};
+	}
+	['keydown','keypress','keyup'].forEach(ev=>ipt.addEventListener(ev, e=>e.stopPropagation()));
+	ipt.addEventListener('keydown', (e)=>{
+		if (e.key === 'Enter') submitHistoryEntry();
+		if (e.key === 'Escape') {
+			endHistoryEdit();
+			renderHistory();
+		}
+	});
+	renderHistory();
+	const grid = byId('gridImport');
+	if (grid) grid.onclick = importEmojiGrid;
+}
+
+/* ===== Emoji grid import ===== */
+// A shared result is read as rows of five squares, in either color scheme:
+// 🟩🟨⬛/⬜ or high contrast 🟧 (green) 🟦 (yellow). Any other line
+// ("Wordle 1,234 4/6", blank lines) is skipped.
+// With the guessed words the rows replace the Guess History; with only the
+// answer the grid is audited row by row without touching the filters.
+const EMOJI_FEEDBACK = { '🟩': '2', '🟧': '2', '🟨': '1', '🟦': '1', '⬛': '0', '⬜': '0' };
+
+function parseEmojiGrid(text){
+	const rows = [];
+	for (const line of text.split(/\r?\n/)) {
+		const fb = [...line].map(ch => EMOJI_FEEDBACK[ch]).filter(Boolean).join('');
+		if (fb.length === 5) rows.push(fb);
+	}
+	return rows;
+}
+function auditGuessRows(rows, guesses, answer){
+	const remaining = historyRemaining(rows.map((fb, i) => ({ guess: guesses[i], fb })));
+	return rows.map((fb, i) => {
+		const issues = [];
+		if (answer) {
+			const expected = pattern(guesses[i], answer);
+			if (expected !== fb) issues.push(`${answer.toUpperCase()} would give ${patternCodeToEmoji(expected)}`);
+		}
+		if (remaining[i] === 0) issues.push('no word in the loaded list fits');
+		return {
+			fb, guess: guesses[i], bad: issues.length > 0,
+			text: issues.length ? issues.join('; ') : `${remaining[i]} candidate${remaining[i] === 1 ? '' : 's'} left`
+		};
+	});
+}
+function auditAnswerRows(rows, answer){
+	return rows.map(fb => {
+		const fits = state.all.filter(w => pattern(w, answer) === fb);
+		return {
+			fb, guess: '', bad: fits.length === 0,
+			text: fits.length
+				? `${fits.length} possible guess${fits.length === 1 ? '' : 'es'}, e.g. ${fits.slice(0, 3).join(', ').toUpperCase()}`
+				: `no word in the loaded list gives this row for ${answer.toUpperCase()}`
+		};
+	});
+}
+function renderGridReport(lines){
+	const box = byId('gridReport');
+	if (!box) return;
+	box.innerHTML = '';
+	for (const l of lines) {
+		const d = document.createElement('div');
+		d.className = l.bad ? 'grid-line bad' : 'grid-line';
+		d.textContent = [patternCodeToEmoji(l.fb), l.guess.toUpperCase(), '—', l.text].filter(Boolean).join(' ');
+		box.appendChild(d);
+	}
+}
+function importEmojiGrid(){
+	const rows = parseEmojiGrid(byId('gridInput').value || '');
+	const guesses = (byId('gridWords').value || '').toLowerCase().split(/[^a-z]+/).filter(Boolean);
+	const answer = (byId('gridAnswer').value || '').trim().toLowerCase();
+	if (!rows.length) {
+		showToast('No grid rows found: paste lines of five 🟩🟨⬛ squares.', 'error');
+		return;
+	}
+	if (answer && !/^[a-z]{5}$/.test(answer)) {
+		showToast('The answer must be a 5-letter word (A–Z).', 'error');
+		return;
+	}
+	if (guesses.some(w => w.length !== 5)) {
+		showToast('Guesses must be 5-letter words (A–Z).', 'error');
+		return;
+	}
+	// A solved last row needs no guess when the answer is known
+	if (answer && guesses.length === rows.length - 1 && rows[rows.length - 1] === '22222') {
+		guesses.push(answer);
+	}
+	if (!guesses.length && !answer) {
+		showToast('Enter the guessed words, or the answer to audit the grid.', 'error');
+		return;
+	}
+	if (guesses.length && guesses.length !== rows.length) {
+		showToast(`The grid has ${rows.length} rows but ${guesses.length} guesses were given.`, 'error');
+		return;
+	}
+	if (answer && !state.all.includes(answer)) {
+		showToast(`"${answer.toUpperCase()}" is not in the loaded word list.`, 'warn');
+	}
+	const lines = guesses.length ? auditGuessRows(rows, guesses, answer) : auditAnswerRows(rows, answer);
+	renderGridReport(lines);
+	const bad = lines.filter(l => l.bad).length;
+	if (bad) showToast(`${bad} grid row${bad === 1 ? ' is' : 's are'} inconsistent (marked in red).`, 'error');
+	if (guesses.length) {
+		state.history = rows.map((fb, i) => ({ guess: guesses[i], fb }));
+		endHistoryEdit();
+		applyHistory();
+	}
+}
+
 /* ===== Search expression ===== */
 function sanitizeClassContent(s){
 	const x=s.toLowerCase().replace(/\s+/g,'');
@@ -663,8 +986,13 @@ function apply(){
 	const out=[];
 	const gi=state.globalInclude, ge=state.globalExclude;
 	const tester=state.searchTester;
+	// Exact Wordle semantics: pattern(guess_i, w) must equal every observed feedback
+	const observed = state.exactFeedback
+		? state.history.map(h => ({ guess: h.guess, code: feedbackCode(h.fb) }))
+		: [];
 	WORDS: for(const w of state.all){
 		if(tester && !tester(w)) continue;
+		for(const h of observed) if(patternCode(h.guess, w)!==h.code) continue WORDS;
 		for(const ch of ge) if(w.includes(ch)) continue WORDS;
 		for(const ch of gi) if(!w.includes(ch)) continue WORDS;
 		for(let i=0;i<5;i++){
@@ -672,10 +1000,13 @@ function apply(){
 			if(need.size>0 && !need.has(c)) continue WORDS;
 			if(ban.has(c)) continue WORDS;
 		}
+		if(state.letterCounts.size && !letterCountsAllow(w, state.letterCounts)) continue;
 		out.push(w);
 	}
 	state.filtered=out;
 	renderList();
+	trackFilterChange();
+	saveSession();
 }
 function renderList(){
 	const ul=byId('words');
@@ -690,62 +1021,10 @@ function renderList(){
 function loadWordsFromArray(a){
 	const seen=new Set();
 	state.all=a.filter(w=>/^[a-z]{5}$/.test(w)&&!seen.has(w)&&seen.add(w)).sort();
+	usePatternTable(state.all);
+	renderHistory();
 	apply();
-}
-
-/* ===== Wordle feedback ===== */
-function pattern(guess, answer){
-	const g=[...guess], a=[...answer];
-	const res=Array(5).fill('0');
-	const cnt={};
-	for(let i=0;i<5;i++){
-		if(a[i]===g[i]){
-			res[i]='2';
-		} else {
-			cnt[a[i]]=(cnt[a[i]]||0)+1;
-		}
-	}
-	for(let i=0;i<5;i++){
-		if(res[i]==='2') continue;
-		const ch=g[i];
-		if(cnt[ch]>0){
-			res[i]='1';
-			cnt[ch]--;
-		}
-	}
-	return res.join('');
-}
-function partitionByPattern(S, guess){
-	const map=new Map();
-	for(const ans of S){
-		const p=pattern(guess, ans);
-		let arr=map.get(p);
-		if(!arr){
-			arr=[];
-			map.set(p,arr);
-		}
-		arr.push(ans);
-	}
-	return map;
-}
-function entropyAndExpectedSize(S, guess){
-    const parts = partitionByPattern(S, guess);
-    const n = S.length;
-    let H = 0, exp = 0, maxb = 0;
-
-    for(const arr of parts.values()){
-        const p = arr.length / n;
-        H += -p * Math.log2(p);
-        exp += p * arr.length;
-        if(arr.length > maxb) maxb = arr.length;
-    }
-
-    return {
-        entropy: H,
-        expected: exp,
-        maxBucket: maxb,
-        buckets: parts
-    };
+	refreshBook();
 }
 
 
@@ -787,7 +1066,7 @@ async function getExternalPool(){
 
 /* ===== Recommenders ===== */
 let uiLocked = false; // when true, block keyboard shortcuts during calculation
-function lockUI(yes){
+function lockUI(yes, lockKeys = true){
 	uiLocked = yes;
 	/* 1) Buttons: disable everything except Stop */
 	document.querySelectorAll('.btn').forEach(b => {
@@ -796,20 +1075,21 @@ function lockUI(yes){
 	const stop = byId('stopBtn');
 	if (stop) stop.disabled = !yes;  // Stop stays enabled during calculation
 	/* 2) Inputs/toggles to freeze while computing */
-	['wordListSelect','hardMode','maxCand','maxPool','deepEstepThreshold','poolSelect','deepSearch','analyzeInput'].forEach(id=>{
+	['wordListSelect','hardMode','maxCand','maxPool','deepEstepThreshold','lookaheadDepth','branchCap','poolSelect','exactSearch','deepSearch','analyzeInput','historyInput','gridInput','gridWords','gridAnswer','replayGuesses','replayAnswer','simOpener','bookOpener','useBook','countLetter','countMin','countMax'].forEach(id=>{
 		const el = byId(id);
 		if (!el) return;
 		el.disabled = yes;
 	});
-	/* 3) Mouse clicks off for the letter keyboards only */
-	['gInc','gExc','pInc','pExc','greenKeys','yellowKeys','grayKeys'].forEach(id=>{
+	/* 3) Mouse clicks off for the letter keyboards only (kept live during worker runs) */
+	['gInc','gExc','pInc','pExc','greenKeys','yellowKeys','grayKeys','historyRows','bookTable'].forEach(id=>{
 		const el = byId(id);
-		if (el) el.classList.toggle('locked', yes);
+		if (el) el.classList.toggle('locked', yes && lockKeys);
 	});
 	// 4) When unlocking the UI, re-apply Hard Mode rules
 	if (!yes && typeof syncModeControls === 'function') {
 		syncModeControls();
 	}
+	updateUndoButtons();
 }
 function setProgress(p){
 	byId('pbar').style.width = Math.max(0,Math.min(100,p))+'%';
@@ -825,896 +1105,227 @@ function resetSuggestions(){
 		input.value = input.defaultValue; // Reset to the original value
 	});
 	byId('suggestStatus').textContent = 'Results have been reset.'; // Provide feedback to the user
+	saveSession();
 }
 
-/* Build a capped guess pool: top-K from S + top-N from external (by cheap pre-score) */
-async function buildGuessPoolCapped(S) {
-	const hard = byId('hardMode').checked;
-	const n = S.length;
-	/* Hard Mode On: Search Cands Thr by Entropy */
-	if (hard) {
-		const candsThr = Math.max(1, Number(byId('maxCand').value) || n);
-		const scoredS = [];
-		let count = 0; // 1
-		for (const g of S) {
-			if (state.cancel) {
-				// If user pressed Stop while ranking, break early
-				break;
-			}
-			const met = entropyAndExpectedSize(S, g);
-			scoredS.push({
-				g, score: met.entropy, expected: met.expected
-			});
-			// Let the event loop breathe every 50 items
-			if (++count % 50 === 0) {
-				await new Promise(r => setTimeout(r, 0));
-			}
-		}
-		scoredS.sort((a, b) => (b.score - a.score) || (a.expected - b.expected));
-		const topS = scoredS.slice(0, Math.min(candsThr, scoredS.length)).map(x => x.g);
-		return topS;
-	}
-	/* Hard Mode Off */
-	const ext = await getExternalPool();
-	if (!ext || ext.length === 0) {
-		console.warn("No external pool found, proceeding with only filtered candidates.");
-	}
-	const K = Math.max(1, Number(byId('maxCand').value) || S.length); // Candidates threshold
-	const N = Math.max(0, Number(byId('maxPool').value) || 0);        // Pool threshold
-	/* Cheap metric: entropy + tie-break by expected size */
-	function cheapScoreFor(word, set) {
-		const met = entropyAndExpectedSize(set, word);
-		return {
-			score: met.entropy, expected: met.expected
+
+/* ===== Recommender workers ===== */
+// The whole pipeline (pool ranking + E[steps] loop) runs in suggest_worker.js,
+// on a pool of workers sized to navigator.hardwareConcurrency.
+// Stop terminates every worker, so cancellation is instant; fresh workers are
+// created lazily on the next run.
+const SUGGEST_WORKERS = Math.max(1, navigator.hardwareConcurrency || 4);
+// Every worker keeps its own pattern table: they share one memory budget,
+// so peak memory does not grow with the core count
+const WORKER_TABLES_MAX_BYTES = 256 * 1024 * 1024;
+const WORKER_TABLE_BYTES = Math.min(PATTERN_TABLE_MAX_BYTES, Math.floor(WORKER_TABLES_MAX_BYTES / SUGGEST_WORKERS));
+let suggestWorkers = [];
+let suggestJob = null;     // { id, pending, onMessage, resolve } for the job in flight
+let suggestJobSeq = 0;
+
+function getSuggestWorkers(count){
+	while (suggestWorkers.length < count) {
+		const w = new Worker('suggest_worker.js');
+		w.onmessage = onSuggestWorkerMessage;
+		w.onerror = (e) => {
+			e.preventDefault();
+			finishSuggestJob('error', e.message || 'Worker failed');
 		};
+		suggestWorkers.push(w);
 	}
-	/* ===== Rank S by cheap score, keep top-K ===== */
-	const scoredS = [];
-	let countS = 0;
-	for (const g of S) {
-		if (state.cancel) break;
-		const { score, expected } = cheapScoreFor(g, S);
-		scoredS.push({ 
-			g, score, expected 
-		});
-		if (++countS % 50 === 0) {
-			await new Promise(r => setTimeout(r, 0));
-		}
-	}
-	scoredS.sort((a, b) => (b.score - a.score) || (a.expected - b.expected));
-	const topS = scoredS.slice(0, Math.min(K, scoredS.length)).map(x => x.g);
-	/* ===== Rank external by cheap score against S, keep top-N ===== */
-	const baseSet = new Set(S);
-	const scoredExt = [];
-	if (N > 0) {
-		let countE = 0;
-		for (const g of ext) {
-			if (state.cancel) break;
-			if (baseSet.has(g)) continue;
-			const { score, expected } = cheapScoreFor(g, S);
-			scoredExt.push({
-				g, score, expected
-			});
-			if (++countE % 50 === 0) {
-				await new Promise(r => setTimeout(r, 0));
-			}
-		}
-		scoredExt.sort((a, b) => (b.score - a.score) || (a.expected - b.expected));
+	return suggestWorkers.slice(0, count);
+}
+function onSuggestWorkerMessage(e){
+	const msg = e.data || {};
+	const job = suggestJob;
+	if (!job || msg.id !== job.id) return; // stale message from a cancelled run
+	if (msg.type === 'done') {
+		if (--job.pending === 0) finishSuggestJob('done');
+	} else if (msg.type === 'error') {
+		finishSuggestJob('error', msg.message);
+	} else {
+		job.onMessage(msg);
 	}
-	const topExt = (N > 0) ? scoredExt.slice(0, Math.min(N, scoredExt.length)).map(x => x.g) : [];
-	return [...topS, ...topExt]; // Final capped pool = top-K from S + top-N from external	  
 }
-
-// Heuristic for "extra guesses" needed in a leaf bucket of size k
-// This returns the *additional* expected guesses after we are already in that bucket.
-function leafExtraGuesses(k) {
-  if (k <= 1) return 1;
-  return 1 + 0.20 * Math.pow(k, 0.55);
+function finishSuggestJob(status, message){
+	const job = suggestJob;
+	if (!job) return;
+	suggestJob = null;
+	job.resolve({ status, message });
 }
-
-
-/* One-lookahead E[steps] using the local partitionByPattern(S, guess) */
-function EstepsOneLookahead(S, g) {
-	const n = S.length;
-	const parts = partitionByPattern(S, g);
-	let est = 0;
-	for (const [pat, arr] of parts.entries()) {
-		const p = arr.length / n;
-		if (pat === '22222') {
-			est += p * 1; // Solved now: takes 1 step (this guess)
-		} else {
-			/* Choose best next guess g2 inside arr, then approximate the leaf */
-			let best = Infinity;
-			for (const g2 of arr) {
-				const parts2 = partitionByPattern(arr, g2);
-				let e2 = 0;
-				for (const [pat2, arr2] of parts2.entries()) {
-					const p2 = arr2.length / arr.length;
-					if (pat2 === '22222') {
-						e2 += p2 * 1; // solved next step
-					} else {
-						// const k = arr2.length;
-						const expLeaf = (arr2.length === 1) ? 1 : 2; // const expLeaf = leafExtraGuesses(k); // 
-						e2 += p2 * (1 + expLeaf); // 1 for taking g2, plus leaf
-					}
+/* Post one message per worker (same job id); resolves once every worker reports done,
+   with { status: 'done' | 'cancelled' | 'error', message } */
+function runSuggestJob(messages, onMessage){
+	return new Promise(resolve => {
+		const id = ++suggestJobSeq;
+		suggestJob = { id, pending: messages.length, onMessage, resolve };
+		try {
+			const workers = getSuggestWorkers(messages.length);
+			messages.forEach((m, k) => {
+				// Each worker keeps its own pattern table for the loaded list
+				if (workers[k].wordList !== state.all) {
+					workers[k].wordList = state.all;
+					workers[k].postMessage({ type: 'list', words: state.all, maxBytes: WORKER_TABLE_BYTES });
 				}
-				if (e2 < best) best = e2;
-			}
-			est += p * (1 + best); // 1 for taking g now, plus best subtree
+				workers[k].postMessage({ ...m, id });
+			});
+		} catch (e) {
+			finishSuggestJob('error', e.message);
 		}
-	}
-	return est;
-}
-/* T1 E[steps] with an extra lookahead level:
-   - Level 1: g (the candidate we are evaluating now)
-   - Level 2: choose best g2 inside each bucket after g
-   - Level 3: choose best g3 inside each bucket after g2
-   - Level 4: choose best g4 inside each bucket after g3
-   - Then approximate the remaining leaf.
-
-   Cost model:
-   - Every actual guess (g, g2, g3, …) contributes +1 turn.
-   - The “leaf” buckets add a small extra cost depending on size.
-*/
-function EstepsOneLookaheadDeep_T1(S, g) {
-  const n = S.length;
-  const parts1 = partitionByPattern(S, g);
-  let est = 0;
-
-  for (const [pat1, arr1] of parts1.entries()) {
-    const p1 = arr1.length / n;
-
-    if (pat1 === '22222') {
-      // Solved immediately with g
-      est += p1 * 1;
-      continue;
-    }
-
-    // Choose best second guess g2 inside this bucket
-    let bestE2 = Infinity;
-
-    for (const g2 of arr1) {
-      const parts2 = partitionByPattern(arr1, g2);
-      let e2 = 0;
-
-      for (const [pat2, arr2] of parts2.entries()) {
-        const p2 = arr2.length / arr1.length;
-
-        if (pat2 === '22222') {
-          // Solved by g2
-          e2 += p2 * 1;
-          continue;
-        }
-
-        // Choose best second guess g3 inside this bucket
-        let bestE3 = Infinity;
-
-        for (const g3 of arr2) {
-          const parts3 = partitionByPattern(arr2, g3);
-          let e3 = 0;
-          
-          for (const [pat3, arr3] of parts3.entries()) {
-            const p3 = arr3.length / arr2.length;
-            
-            if (pat3 === '22222') {
-              // Solved by g3
-              e3 += p3 * 1;
-              continue;
-            }
-            
-            // For this child bucket arr3, choose best g4
-            let bestE4 = Infinity;
-
-            for (const g4 of arr3) {
-              const parts4 = partitionByPattern(arr3, g4);
-              let e4 = 0;
-
-              for (const [pat4, arr4] of parts4.entries()) {
-                const p4 = arr4.length / arr3.length;
-
-                if (pat4 === '22222') {
-                  // Solved by g4
-                  e4 += p4 * 1;
-                } else {
-                  // Leaf after g4: approximate remaining cost
-                  const k = arr4.length; // const leafSize = arr4.length;
-                  const expLeaf = leafExtraGuesses(k); // const expLeaf = (leafSize === 1) ? 1 : 2;
-                  // 1 for using g4, plus expected remaining steps in that tiny leaf
-                  e4 += p4 * (1 + expLeaf);
-                }
-              }
-
-              if (e4 < bestE4) bestE4 = e4;
-            }
-
-            e3 += p3 * (1 + bestE4);
-          }
-          
-          if (e3 < bestE3) bestE3 = e3;
-
-        }
-
-        e2 += p2 * (1 + bestE3);
-      }
-
-      if (e2 < bestE2) bestE2 = e2;
-    }
-
-    // 1 for using g, plus best subtree under that bucket
-    est += p1 * (1 + bestE2);
-  }
-
-  return est;
-}
-/* T2 E[steps] with an extra lookahead level:
-   - Level 1: g (the candidate we are evaluating now)
-   - Level 2: choose best g2 inside each bucket after g
-   - Level 3: choose best g3 inside each bucket after g2
-   - Level 4: choose best g4 inside each bucket after g3
-   - Level 5: choose best g5 inside each bucket after g4
-   - Then approximate the remaining leaf.
-
-   Cost model:
-   - Every actual guess (g, g2, g3, …) contributes +1 turn.
-   - The “leaf” buckets add a small extra cost depending on size.
-*/
-function EstepsOneLookaheadDeep_T2(S, g) {
-  const n = S.length;
-  const parts1 = partitionByPattern(S, g);
-  let est = 0;
-
-  for (const [pat1, arr1] of parts1.entries()) {
-    const p1 = arr1.length / n;
-
-    if (pat1 === '22222') {
-      // Solved immediately with g
-      est += p1 * 1;
-      continue;
-    }
-
-    // Choose best second guess g2 inside this bucket
-    let bestE2 = Infinity;
-
-    for (const g2 of arr1) {
-      const parts2 = partitionByPattern(arr1, g2);
-      let e2 = 0;
-
-      for (const [pat2, arr2] of parts2.entries()) {
-        const p2 = arr2.length / arr1.length;
-
-        if (pat2 === '22222') {
-          // Solved by g2
-          e2 += p2 * 1;
-          continue;
-        }
-
-        // Choose best second guess g3 inside this bucket
-        let bestE3 = Infinity;
-
-        for (const g3 of arr2) {
-          const parts3 = partitionByPattern(arr2, g3);
-          let e3 = 0;
-          
-          for (const [pat3, arr3] of parts3.entries()) {
-            const p3 = arr3.length / arr2.length;
-            
-            if (pat3 === '22222') {
-              // Solved by g3
-              e3 += p3 * 1;
-              continue;
-            }
-            
-
-            // Choose best second guess g4 inside this bucket
-            let bestE4 = Infinity;
-
-            for (const g4 of arr3) {
-              const parts4 = partitionByPattern(arr3, g4);
-              let e4 = 0;
-          
-              for (const [pat4, arr4] of parts4.entries()) {
-                const p4 = arr4.length / arr3.length;
-            
-                if (pat4 === '22222') {
-                  // Solved by g4
-                  e4 += p4 * 1;
-                  continue;
-                }
-
-                // Choose best second guess g5 inside this bucket
-                let bestE5 = Infinity;
-
-                for (const g5 of arr4) {
-                  const parts5 = partitionByPattern(arr4, g5);
-                  let e5 = 0;
-
-                  for (const [pat5, arr5] of parts5.entries()) {
-                    const p5 = arr5.length / arr4.length;
-
-                    if (pat5 === '22222') {
-                      // Solved by g5
-                      e5 += p5 * 1;
-                    } else {
-                      // Leaf after g5: approximate remaining cost
-                      const k = arr5.length; // const leafSize = arr5.length;
-                      const expLeaf = leafExtraGuesses(k); // const expLeaf = (leafSize === 1) ? 1 : 2;
-                      // 1 for using g5, plus expected remaining steps in that tiny leaf
-                      e5 += p5 * (1 + expLeaf);
-                    }
-                  }
-
-                  if (e5 < bestE5) bestE5 = e5;
-                }
-
-                e4 += p4 * (1 + bestE5);
-            
-              }
-            
-              if (e4 < bestE4) bestE4 = e4;
-            }
-
-            e3 += p3 * (1 + bestE4);
-          }
-          
-          if (e3 < bestE3) bestE3 = e3;
-
-        }
-
-        e2 += p2 * (1 + bestE3);
-      }
-
-      if (e2 < bestE2) bestE2 = e2;
-    }
-
-    // 1 for using g, plus best subtree under that bucket
-    est += p1 * (1 + bestE2);
-  }
-
-  return est;
-}
-/* T3 E[steps] with an extra lookahead level:
-   - Level 1: g (the candidate we are evaluating now)
-   - Level 2: choose best g2 inside each bucket after g
-   - Level 3: choose best g3 inside each bucket after g2
-   - Level 4: choose best g4 inside each bucket after g3
-   - Level 5: choose best g5 inside each bucket after g4
-   - Level 6: choose best g6 inside each bucket after g5
-   - Then approximate the remaining leaf.
-
-   Cost model:
-   - Every actual guess (g, g2, g3, …) contributes +1 turn.
-   - The “leaf” buckets add a small extra cost depending on size.
-*/
-function EstepsOneLookaheadDeep_T3(S, g) {
-  const n = S.length;
-  const parts1 = partitionByPattern(S, g);
-  let est = 0;
-
-  for (const [pat1, arr1] of parts1.entries()) {
-    const p1 = arr1.length / n;
-
-    if (pat1 === '22222') {
-      // Solved immediately with g
-      est += p1 * 1;
-      continue;
-    }
-
-    // Choose best second guess g2 inside this bucket
-    let bestE2 = Infinity;
-
-    for (const g2 of arr1) {
-      const parts2 = partitionByPattern(arr1, g2);
-      let e2 = 0;
-
-      for (const [pat2, arr2] of parts2.entries()) {
-        const p2 = arr2.length / arr1.length;
-
-        if (pat2 === '22222') {
-          // Solved by g2
-          e2 += p2 * 1;
-          continue;
-        }
-
-        // Choose best second guess g3 inside this bucket
-        let bestE3 = Infinity;
-
-        for (const g3 of arr2) {
-          const parts3 = partitionByPattern(arr2, g3);
-          let e3 = 0;
-          
-          for (const [pat3, arr3] of parts3.entries()) {
-            const p3 = arr3.length / arr2.length;
-            
-            if (pat3 === '22222') {
-              // Solved by g3
-              e3 += p3 * 1;
-              continue;
-            }
-            
-
-            // Choose best second guess g4 inside this bucket
-            let bestE4 = Infinity;
-
-            for (const g4 of arr3) {
-              const parts4 = partitionByPattern(arr3, g4);
-              let e4 = 0;
-          
-              for (const [pat4, arr4] of parts4.entries()) {
-                const p4 = arr4.length / arr3.length;
-            
-                if (pat4 === '22222') {
-                  // Solved by g4
-                  e4 += p4 * 1;
-                  continue;
-                }
-
-                // Choose best second guess g5 inside this bucket
-                let bestE5 = Infinity;
-
-                for (const g5 of arr4) {
-                  const parts5 = partitionByPattern(arr4, g5);
-                  let e5 = 0;
-
-                  for (const [pat5, arr5] of parts5.entries()) {
-                    const p5 = arr5.length / arr4.length;
-            
-                    if (pat5 === '22222') {
-                      // Solved by g5
-                      e5 += p5 * 1;
-                      continue;
-                    }
-
-                    // For this child bucket arr5, choose best g6
-                    let bestE6 = Infinity;
-
-                    for (const g6 of arr5) {
-                      const parts6 = partitionByPattern(arr5, g6);
-                      let e6 = 0;
-
-                      for (const [pat6, arr6] of parts6.entries()) {
-                        const p6 = arr6.length / arr5.length;
-
-                        if (pat6 === '22222') {
-                          // Solved by g6
-                          e6 += p6 * 1;
-                        } else {
-                          // Leaf after g6: approximate remaining cost
-                          const k = arr6.length; // const leafSize = arr6.length;
-                          const expLeaf = leafExtraGuesses(k); // const expLeaf = (leafSize === 1) ? 1 : 2;
-                          // 1 for using g6, plus expected remaining steps in that tiny leaf
-                          e6 += p6 * (1 + expLeaf);
-                        }
-                      }
-
-                      if (e6 < bestE6) bestE6 = e6;
-                    }
-
-                    e5 += p5 * (1 + bestE6);
-                  }
-
-                  if (e5 < bestE5) bestE5 = e5;
-                }
-
-                e4 += p4 * (1 + bestE5);
-
-              }
-
-              if (e4 < bestE4) bestE4 = e4;
-            }
-
-            e3 += p3 * (1 + bestE4);
-          }
-          
-          if (e3 < bestE3) bestE3 = e3;
-
-        }
-
-        e2 += p2 * (1 + bestE3);
-      }
-
-      if (e2 < bestE2) bestE2 = e2;
-    }
-
-    // 1 for using g, plus best subtree under that bucket
-    est += p1 * (1 + bestE2);
-  }
-
-  return est;
-}
-/* T4 E[steps] with an extra lookahead level:
-   - Level 1: g (the candidate we are evaluating now)
-   - Level 2: choose best g2 inside each bucket after g
-   - Level 3: choose best g3 inside each bucket after g2
-   - Level 4: choose best g4 inside each bucket after g3
-   - Level 5: choose best g5 inside each bucket after g4
-   - Level 6: choose best g6 inside each bucket after g5
-   - Level 7: choose best g7 inside each bucket after g6
-   - Then approximate the remaining leaf.
-
-   Cost model:
-   - Every actual guess (g, g2, g3, …) contributes +1 turn.
-   - The “leaf” buckets add a small extra cost depending on size.
-*/
-function EstepsOneLookaheadDeep_T4(S, g) {
-  const n = S.length;
-  const parts1 = partitionByPattern(S, g);
-  let est = 0;
-
-  for (const [pat1, arr1] of parts1.entries()) {
-    const p1 = arr1.length / n;
-
-    if (pat1 === '22222') {
-      // Solved immediately with g
-      est += p1 * 1;
-      continue;
-    }
-
-    // Choose best second guess g2 inside this bucket
-    let bestE2 = Infinity;
-
-    for (const g2 of arr1) {
-      const parts2 = partitionByPattern(arr1, g2);
-      let e2 = 0;
-
-      for (const [pat2, arr2] of parts2.entries()) {
-        const p2 = arr2.length / arr1.length;
-
-        if (pat2 === '22222') {
-          // Solved by g2
-          e2 += p2 * 1;
-          continue;
-        }
-
-        // Choose best second guess g3 inside this bucket
-        let bestE3 = Infinity;
-
-        for (const g3 of arr2) {
-          const parts3 = partitionByPattern(arr2, g3);
-          let e3 = 0;
-          
-          for (const [pat3, arr3] of parts3.entries()) {
-            const p3 = arr3.length / arr2.length;
-            
-            if (pat3 === '22222') {
-              // Solved by g3
-              e3 += p3 * 1;
-              continue;
-            }
-            
-
-            // Choose best second guess g4 inside this bucket
-            let bestE4 = Infinity;
-
-            for (const g4 of arr3) {
-              const parts4 = partitionByPattern(arr3, g4);
-              let e4 = 0;
-          
-              for (const [pat4, arr4] of parts4.entries()) {
-                const p4 = arr4.length / arr3.length;
-            
-                if (pat4 === '22222') {
-                  // Solved by g4
-                  e4 += p4 * 1;
-                  continue;
-                }
-
-                // Choose best second guess g5 inside this bucket
-                let bestE5 = Infinity;
-
-                for (const g5 of arr4) {
-                  const parts5 = partitionByPattern(arr4, g5);
-                  let e5 = 0;
-
-                  for (const [pat5, arr5] of parts5.entries()) {
-                    const p5 = arr5.length / arr4.length;
-            
-                    if (pat5 === '22222') {
-                      // Solved by g5
-                      e5 += p5 * 1;
-                      continue;
-                    }
-
-                    // Choose best second guess g6 inside this bucket
-                    let bestE6 = Infinity;
-
-                    for (const g6 of arr5) {
-                      const parts6 = partitionByPattern(arr5, g6);
-                      let e6 = 0;
-
-                      for (const [pat6, arr6] of parts6.entries()) {
-                        const p6 = arr6.length / arr5.length;
-
-                        // For this child bucket arr6, choose best g7
-                        let bestE7 = Infinity;
-
-                        for (const g7 of arr6) {
-                          const parts7 = partitionByPattern(arr6, g7);
-                          let e7 = 0;
-
-                          for (const [pat7, arr7] of parts7.entries()) {
-                            const p7 = arr7.length / arr6.length;
-
-                            if (pat7 === '22222') {
-                              // Solved by g7
-                              e7 += p7 * 1;
-                            } else {
-                              // Leaf after g7: approximate remaining cost
-                              const k = arr7.length; // const leafSize = arr7.length;
-                              const expLeaf = leafExtraGuesses(k); // const expLeaf = (leafSize === 1) ? 1 : 2;
-                              // 1 for using g7, plus expected remaining steps in that tiny leaf
-                              e7 += p7 * (1 + expLeaf);
-                            }
-                          }
-
-                          if (e7 < bestE7) bestE7 = e7;
-                        }
-
-                        e6 += p6 * (1 + bestE7);
-
-                      }
-
-                      if (e6 < bestE6) bestE6 = e6;
-                    }
-
-                    e5 += p5 * (1 + bestE6);
-
-                  }
-
-                  if (e5 < bestE5) bestE5 = e5;
-                }
-
-                e4 += p4 * (1 + bestE5);
-
-              }
-
-              if (e4 < bestE4) bestE4 = e4;
-            }
-
-            e3 += p3 * (1 + bestE4);
-          }
-          
-          if (e3 < bestE3) bestE3 = e3;
-
-        }
-
-        e2 += p2 * (1 + bestE3);
-      }
-
-      if (e2 < bestE2) bestE2 = e2;
-    }
-
-    // 1 for using g, plus best subtree under that bucket
-    est += p1 * (1 + bestE2);
-  }
-
-  return est;
-}
-/* T5 E[steps] with an extra lookahead level:
-   - Level 1: g (the candidate we are evaluating now)
-   - Level 2: choose best g2 inside each bucket after g
-   - Level 3: choose best g3 inside each bucket after g2
-   - Level 4: choose best g4 inside each bucket after g3
-   - Level 5: choose best g5 inside each bucket after g4
-   - Level 6: choose best g6 inside each bucket after g5
-   - Level 7: choose best g7 inside each bucket after g6
-   - Level 8: choose best g8 inside each bucket after g7
-   - Then approximate the remaining leaf.
-
-   Cost model:
-   - Every actual guess (g, g2, g3, …) contributes +1 turn.
-   - The “leaf” buckets add a small extra cost depending on size.
-*/
-function EstepsOneLookaheadDeep_T5(S, g) {
-  const n = S.length;
-  const parts1 = partitionByPattern(S, g);
-  let est = 0;
-
-  for (const [pat1, arr1] of parts1.entries()) {
-    const p1 = arr1.length / n;
-
-    if (pat1 === '22222') {
-      // Solved immediately with g
-      est += p1 * 1;
-      continue;
-    }
-
-    // Choose best second guess g2 inside this bucket
-    let bestE2 = Infinity;
-
-    for (const g2 of arr1) {
-      const parts2 = partitionByPattern(arr1, g2);
-      let e2 = 0;
-
-      for (const [pat2, arr2] of parts2.entries()) {
-        const p2 = arr2.length / arr1.length;
-
-        if (pat2 === '22222') {
-          // Solved by g2
-          e2 += p2 * 1;
-          continue;
-        }
-
-        // Choose best second guess g3 inside this bucket
-        let bestE3 = Infinity;
-
-        for (const g3 of arr2) {
-          const parts3 = partitionByPattern(arr2, g3);
-          let e3 = 0;
-          
-          for (const [pat3, arr3] of parts3.entries()) {
-            const p3 = arr3.length / arr2.length;
-            
-            if (pat3 === '22222') {
-              // Solved by g3
-              e3 += p3 * 1;
-              continue;
-            }
-            
-
-            // Choose best second guess g4 inside this bucket
-            let bestE4 = Infinity;
-
-            for (const g4 of arr3) {
-              const parts4 = partitionByPattern(arr3, g4);
-              let e4 = 0;
-          
-              for (const [pat4, arr4] of parts4.entries()) {
-                const p4 = arr4.length / arr3.length;
-            
-                if (pat4 === '22222') {
-                  // Solved by g4
-                  e4 += p4 * 1;
-                  continue;
-                }
-
-                // Choose best second guess g5 inside this bucket
-                let bestE5 = Infinity;
-
-                for (const g5 of arr4) {
-                  const parts5 = partitionByPattern(arr4, g5);
-                  let e5 = 0;
-
-                  for (const [pat5, arr5] of parts5.entries()) {
-                    const p5 = arr5.length / arr4.length;
-            
-                    if (pat5 === '22222') {
-                      // Solved by g5
-                      e5 += p5 * 1;
-                      continue;
-                    }
-
-                    // Choose best second guess g6 inside this bucket
-                    let bestE6 = Infinity;
-
-                    for (const g6 of arr5) {
-                      const parts6 = partitionByPattern(arr5, g6);
-                      let e6 = 0;
-
-                      for (const [pat6, arr6] of parts6.entries()) {
-                        const p6 = arr6.length / arr5.length;
-
-                        if (pat6 === '22222') {
-                          // Solved by g6
-                          e6 += p6 * 1;
-                          continue;
-                        }
-
-                        // Choose best second guess g6 inside this bucket
-                        let bestE7 = Infinity;
-
-                        for (const g7 of arr6) {
-                          const parts7 = partitionByPattern(arr6, g7);
-                          let e7 = 0;
-
-                          for (const [pat7, arr7] of parts7.entries()) {
-                            const p7 = arr7.length / arr6.length;
-
-                            if (pat7 === '22222') {
-                              // Solved by g7
-                              e7 += p7 * 1;
-                              continue;
-                            }
-
-                            // For this child bucket arr7, choose best g8
-                            let bestE8 = Infinity;
-
-                            for (const g8 of arr7) {
-                              const parts8 = partitionByPattern(arr7, g8);
-                              let e8 = 0;
-
-                              for (const [pat8, arr8] of parts8.entries()) {
-                                const p8 = arr8.length / arr7.length;
-
-                                if (pat8 === '22222') {
-                                  // Solved by g8
-                                  e8 += p8 * 1;
-                                } else {
-                                  // Leaf after g8: approximate remaining cost
-                                  const k = arr8.length; // const leafSize = arr8.length;
-                                  const expLeaf = leafExtraGuesses(k); // const expLeaf = (leafSize === 1) ? 1 : 2;
-                                  // 1 for using g8, plus expected remaining steps in that tiny leaf
-                                  e8 += p8 * (1 + expLeaf);
-                                }
-                              }
-
-                              if (e8 < bestE8) bestE8 = e8;
-                            }
-
-                            e7 += p7 * (1 + bestE8);
-
-                          }
-
-                          if (e7 < bestE7) bestE7 = e7;
-                        }
-
-                        e6 += p6 * (1 + bestE7);
-
-                      }
-
-                      if (e6 < bestE6) bestE6 = e6;
-                    }
-
-                    e5 += p5 * (1 + bestE6);
-
-                  }
-
-                  if (e5 < bestE5) bestE5 = e5;
-                }
-
-                e4 += p4 * (1 + bestE5);
-
-              }
+	});
+}
+function cancelSuggestJob(){
+	for (const w of suggestWorkers) w.terminate();
+	suggestWorkers = [];
+	finishSuggestJob('cancelled');
+}
+/* Deal the ranked pool round-robin, so every shard starts with top-ranked words */
+function shardGuessPool(pool, count){
+	const shards = Array.from({ length: count }, () => []);
+	pool.forEach((g, i) => shards[i % count].push(g));
+	return shards;
+}
 
-              if (e4 < bestE4) bestE4 = e4;
-            }
+/* Exact solver (solveTail port) only runs on small candidate sets */
+const EXACT_LIMIT = 150;
 
-            e3 += p3 * (1 + bestE4);
-          }
-          
-          if (e3 < bestE3) bestE3 = e3;
+/* Hard Mode rules revealed so far (greens in place, letters to reuse),
+   read from the filters that the Guess History panel also fills */
+function currentHardRules(){
+	return hardRulesFrom(state.pos, state.globalInclude, state.letterCounts);
+}
 
-        }
+/* 'normal' | 'hard' (strict Wordle rules) | 'cands' (candidates only) */
+function guessMode(){
+	return byId('hardMode').value;
+}
 
-        e2 += p2 * (1 + bestE3);
-      }
+/* Recommender settings from the UI, for a run over n candidates */
+function readRecommenderOptions(n){
+	const mode = guessMode();
+	// Read Deep Limit from UI
+	const deepThrInput = byId('deepEstepThreshold');
+	const deepThr = deepThrInput ? Math.max(0, Number(deepThrInput.value) || 0) : 0;
+	return {
+		guessMode: mode,
+		hardRules: mode === 'hard' ? currentHardRules() : null,
+		maxCand: Number(byId('maxCand').value) || n,
+		maxPool: Number(byId('maxPool').value) || 0,
+		useDeep: (deepThr > 0 && n <= deepThr),
+		// Lookahead depth 2–8 (0 = Auto: Deep Limit decides), per-level branch cap (0 = none)
+		depth: Number(byId('lookaheadDepth')?.value) || 0,
+		branchCap: Math.max(0, Number(byId('branchCap')?.value) || 0),
+		exact: !!byId('exactSearch')?.checked && n <= EXACT_LIMIT
+	};
+}
 
-      if (e2 < bestE2) bestE2 = e2;
-    }
+/* The same settings for the strategy simulator; the per-node fields
+   (maxCand, useDeep, hardRules) are filled in by simNodeOptions */
+function readSimulatorOptions(){
+	const deepThrInput = byId('deepEstepThreshold');
+	return {
+		...readRecommenderOptions(0),
+		hardRules: null,
+		exact: false,
+		deepLimit: deepThrInput ? Math.max(0, Number(deepThrInput.value) || 0) : 0
+	};
+}
 
-    // 1 for using g, plus best subtree under that bucket
-    est += p1 * (1 + bestE2);
-  }
+/* ===== Suggest Next ===== */
+const LIVE_PAINT_MS = 150;
+
+function sortRowsByEsteps(rows){
+	return rows.slice().sort(
+		(a, b) =>
+			(a.esteps - b.esteps) ||
+			(b.entropy - a.entropy) ||
+			(a.expected - b.expected)
+		);
+}
 
-  return est;
-}
-
-const HIDDEN_LEVEL2_LIMIT = 250;
-const HIDDEN_LEVEL3_LIMIT = 150;
-const HIDDEN_LEVEL4_LIMIT = 100;
-const HIDDEN_LEVEL5_LIMIT = 50;
-
-function EstepsOneLookaheadDeep(S, g) {
-    const n = S.length;
-
-    if (n > HIDDEN_LEVEL2_LIMIT) {
-        return EstepsOneLookaheadDeep_T1(S, g);
-    } 
-    else if (n > HIDDEN_LEVEL3_LIMIT) {
-        return EstepsOneLookaheadDeep_T2(S, g);
-    } 
-    else if (n > HIDDEN_LEVEL4_LIMIT) {
-        return EstepsOneLookaheadDeep_T3(S, g);
-    } 
-    else if (n > HIDDEN_LEVEL5_LIMIT) {
-        return EstepsOneLookaheadDeep_T4(S, g);
-    } 
-    else {
-        return EstepsOneLookaheadDeep_T5(S, g);
-    }
+/* Rank the guess pool for S on one worker, then evaluate it sharded across the
+   worker pool. extra: guesses to evaluate even when the pool leaves them out.
+   hooks.onPool(total) runs once the pool is known, hooks.onRow(rows, shardsLeft,
+   shardCount, total) after every evaluated row, hooks.onExact(done, total) after
+   every bucket solved for the Exact column.
+   Resolves to { status: 'done' | 'cancelled' | 'error', rows, message } */
+async function runRecommender(S, ext, opts, hooks = {}, extra = []) {
+	// 1) Build capped pool (one worker)
+	let pool = [];
+	const ranked = await runSuggestJob([{ type: 'pool', S, ext, opts }], (msg) => {
+		if (msg.type === 'pool') pool = msg.pool;
+	});
+	if (ranked.status === 'error') return { status: 'error', rows: [], message: ranked.message };
+	// Stop pressed while building the pool
+	if (ranked.status === 'cancelled' || pool.length === 0) return { status: 'cancelled', rows: [] };
+	const guesses = pool.concat(extra.filter(g => !pool.includes(g)));
+	const total = guesses.length;
+	if (hooks.onPool) hooks.onPool(total);
+	// 2) Heavy evaluation loop, sharded across the worker pool
+	const shards = shardGuessPool(guesses, Math.min(SUGGEST_WORKERS, total));
+	const shardRows = shards.map(() => 0);
+	let shardsLeft = shards.length;
+	const rows = [];
+	const result = await runSuggestJob(
+		shards.map((g, shard) => ({ type: 'eval', shard, S, guesses: g, pool, opts })),
+		(msg) => {
+			if (msg.type !== 'row') return;
+			rows.push(msg.row);
+			if (++shardRows[msg.shard] === shards[msg.shard].length) shardsLeft--;
+			if (hooks.onRow) hooks.onRow(rows, shardsLeft, shards.length, total);
+		}
+	);
+	if (result.status !== 'done' || !opts.exact) return { status: result.status, rows, message: result.message };
+	// 3) Exact column: the root guesses share most of their buckets, so each
+	//    distinct bucket is solved once, by one worker, and the rows add them up
+	const exact = await runExactBuckets(S, rows.map(r => r.word), pool, opts.guessMode !== 'normal', hooks.onExact);
+	if (exact.status === 'done') {
+		for (const r of rows) r.exact = exact.values.get(r.word);
+	}
+	return { status: exact.status, rows, message: exact.message };
 }
 
+/* Exact E[steps] of every root guess over S, from the exact values of their
+   buckets (sizes 1 and 2 need no search). Resolves to { status, values: word → E } */
+async function runExactBuckets(S, roots, pool, hard, onExact){
+	const solved = PATTERN_STRINGS[PATTERN_SOLVED];
+	const splits = new Map();   // root word → [bucket key, size] pairs
+	const tasks = new Map();    // bucket key → words, buckets of 3+ only
+	for (const g of roots) {
+		const parts = [];
+		for (const [fb, bucket] of partitionByPattern(S, g)) {
+			if (fb === solved) continue;
+			const key = bucket.join();
+			parts.push([key, bucket.length]);
+			if (bucket.length > 2 && !tasks.has(key)) tasks.set(key, bucket);
+		}
+		splits.set(g, parts);
+	}
+	const subE = new Map();
+	const list = [...tasks].map(([key, words]) => ({ key, words })).sort((a, b) => b.words.length - a.words.length);
+	if (list.length) {
+		const shards = shardGuessPool(list, Math.min(SUGGEST_WORKERS, list.length));
+		const result = await runSuggestJob(
+			shards.map((t, shard) => ({ type: 'exact', shard, S, tasks: t, pool, hard })),
+			(msg) => {
+				if (msg.type !== 'exact') return;
+				subE.set(msg.key, msg.E);
+				if (onExact) onExact(subE.size, list.length);
+			}
+		);
+		if (result.status !== 'done') return { status: result.status, values: new Map(), message: result.message };
+	}
+	const values = new Map();
+	for (const [g, parts] of splits) {
+		let tail = 0;
+		for (const [key, size] of parts) {
+			tail += (size / S.length) * (size === 1 ? 1 : size === 2 ? 1.5 : subE.get(key));
+		}
+		values.set(g, 1 + tail);
+	}
+	return { status: 'done', values };
+}
 
-/* ===== Suggest Next ===== */
 async function suggestNext() {
 	const S = [...state.filtered];
 	const n = S.length;
@@ -1727,80 +1338,85 @@ async function suggestNext() {
 		status.textContent = 'No candidates.';
 		return;
 	}
-	lockUI(true);
+	// Turn 1 / turn 2 positions of the opening book need no search
+	const booked = byId('useBook')?.checked ? bookLookup(S) : null;
+	if (booked) {
+		lastSuggestRows = [booked.row];
+		lastSuggestLabel = `from the Opening Book (turn ${booked.turn})`;
+		renderSuggestRows(lastSuggestRows, lastSuggestLabel);
+		setProgress(100);
+		saveSession();
+		return;
+	}
+	// Filter keyboards stay usable while the workers are busy
+	lockUI(true, false);
 	try {
-		// Give the UI a moment so Stop becomes clickable immediately
-		await new Promise(r => setTimeout(r, 0));
-		// 1) Build capped pool (this now respects state.cancel)
-		const pool = await buildGuessPoolCapped(S);
-		// If user pressed Stop while building the pool
-		if (state.cancel || !pool || pool.length === 0) {
+		const opts = readRecommenderOptions(n);
+		if (byId('exactSearch')?.checked && !opts.exact) {
+			showToast(`Exact E[steps] is only computed for ${EXACT_LIMIT} candidates or fewer.`, 'warn');
+		}
+		const ext = (opts.guessMode === 'cands') ? [] : await getExternalPool();
+		if (opts.guessMode !== 'cands' && (!ext || ext.length === 0)) {
+			console.warn("No external pool found, proceeding with only filtered candidates.");
+		}
+		if (state.cancel) {
 			status.textContent = 'Stopped before evaluating candidates.';
 			return;
 		}
-		const total = pool.length;
-		const hard = byId('hardMode').checked;
-		// Read Deep Limit from UI
-		const deepThrInput = byId('deepEstepThreshold');
-		const deepThr = deepThrInput ? Math.max(0, Number(deepThrInput.value) || 0) : 0;
-		const useDeep = (deepThr > 0 && n <= deepThr);
-		// 2) Status text
-		if (hard) {
-			// In hard mode, pool already reflects top Cands Thr from filtered candidates
-			// status.textContent = `Evaluating top ${total} words (from filtered candidates)...`;
-			// const maxCandv = Math.max(1, Math.min(Number(byId('candsThreshold').value) || n, n));
-			status.textContent = useDeep
-				? `Evaluating top ${total} words (deeper E[steps] calculation) ...`
-				: `Evaluating top ${total} words (from filtered candidates) ...`;
-		} else {
-			// status.textContent = `Evaluating top ${total} words (from the top-ranked candidates and external guess pool)...`;
-			status.textContent = useDeep
-				? `Evaluating top ${total} words (deeper E[steps] calculation) ...`
-				: `Evaluating top ${total} words (from filtered candidates and external pool) ...`;
-		}
-		// 3) Heavy evaluation loop (E[steps], entropy, etc.)
-		const rows = [];
-		let evaluated = 0;
-			for (let i = 0; i < total; i++) {
-			if (state.cancel) {
-				status.textContent += ' (stopped)';
-				break;
-			}
-			const g = pool[i];
-			// Exact expected steps (one-lookahead)
-			// const exp = EstepsOneLookahead(S, g);
-			// Choose between normal 2-step and deep 4-step E[steps]
-			const exp = useDeep
-				? EstepsOneLookaheadDeep(S, g)
-				: EstepsOneLookahead(S, g);
-			const met = entropyAndExpectedSize(S, g);
-			rows.push({
-				word: g,
-				esteps: exp,
-				entropy: met.entropy,
-				expected: met.expected,
-				maxBucket: met.maxBucket
-			});
-			evaluated++;
-			// Update progress and yield occasionally
-			if ((i & 3) === 0) {
-				setProgress(100 * evaluated / total);
-				await new Promise(r => setTimeout(r, 0));
+		status.textContent = 'Ranking guess pool ...';
+		let lastPaint = 0;
+		const result = await runRecommender(S, ext, opts, {
+			onPool: (total) => {
+				if (opts.depth) {
+					status.textContent = `Evaluating top ${total} words (${opts.depth}-guess lookahead) ...`;
+				} else if (opts.guessMode === 'cands') {
+					// Candidates only: pool already reflects top Cands Thr from filtered candidates
+					status.textContent = opts.useDeep
+						? `Evaluating top ${total} words (deeper E[steps] calculation) ...`
+						: `Evaluating top ${total} words (from filtered candidates) ...`;
+				} else {
+					status.textContent = opts.useDeep
+						? `Evaluating top ${total} words (deeper E[steps] calculation) ...`
+						: (opts.guessMode === 'hard')
+							? `Evaluating top ${total} words (from filtered candidates and Hard Mode legal pool words) ...`
+							: `Evaluating top ${total} words (from filtered candidates and external pool) ...`;
+				}
+			},
+			// Rows are merged as they arrive; the top 10 is repainted at most every LIVE_PAINT_MS
+			onRow: (rows, shardsLeft, shardCount, total) => {
+				setProgress(100 * rows.length / total);
+				const now = Date.now();
+				if (now - lastPaint >= LIVE_PAINT_MS) {
+					lastPaint = now;
+					renderSuggestRows(
+						sortRowsByEsteps(rows),
+						`(live: ${rows.length}/${total} evaluated, ${shardsLeft}/${shardCount} workers running)`
+					);
+				}
+			},
+			onExact: (done, total) => {
+				setProgress(100 * done / total);
+				status.textContent = `Exact E[steps]: ${done}/${total} buckets solved ...`;
 			}
+		});
+		if (result.status === 'error') {
+			status.textContent = 'Recommender failed: ' + result.message;
+			showToast('Recommender failed: ' + result.message, 'error');
+			return;
 		}
-		// 4) Sort rows by E[steps] first (then entropy, then E[cands])
-		rows.sort(
-			(a, b) =>
-				(a.esteps - b.esteps) ||
-				(b.entropy - a.entropy) ||
-				(a.expected - b.expected)
-			);
-		// 5) Render results (even if stopped mid-way, show what we have)
-		lastSuggestRows = rows;
+		if (!result.rows.length) {
+			status.textContent = 'Stopped before evaluating candidates.';
+			return;
+		}
+		const rows = result.rows;
+		// Sort rows by E[steps] first (then entropy, then E[cands]) and render
+		//    the final table (even if stopped mid-way, show what we have)
+		lastSuggestRows = sortRowsByEsteps(rows);
 		lastSuggestLabel = 'by Estimated E[steps]';
-		renderSuggestRows(rows, lastSuggestLabel);
+		renderSuggestRows(lastSuggestRows, lastSuggestLabel);
+		saveSession();
 		// Finishes at 100% only when Stop is not pressed
-		if (!state.cancel) {
+		if (result.status === 'done') {
 			setProgress(100);
 		}
 	} finally {
@@ -1816,9 +1432,12 @@ function renderSuggestRows(rows, label){
 	tb.innerHTML='';
 	for(const r of rows.slice(0,10)){
 		const tr=document.createElement('tr');
+		// Full list: fall back on the exact E[steps] of a loaded dp_top_blocks result
+		const dpE = starterExactFor(r.word);
 		tr.innerHTML = `
 			<td class="mono">${r.word.toUpperCase()}</td>
 			<td>${isFinite(r.esteps)? r.esteps.toFixed(3) : '—'}</td>
+			<td>${isFinite(r.exact)? r.exact.toFixed(3) : dpE != null ? `<span class="dp-mark" title="Exact E[steps] from the loaded dp_top_blocks results">★ ${dpE.toFixed(3)}</span>` : '—'}</td>
 			<td>${r.entropy?.toFixed(3) ?? '—'}</td>
 			<td>${r.expected?.toFixed(3) ?? '—'}</td>
 			<td>${r.maxBucket ?? '—'}</td>
@@ -1833,9 +1452,12 @@ let lastSuggestLabel = "";
 function sortRowsOneWay(rows, key) {
 	const copy = rows.slice();
 	const num = (v) => (typeof v === "number" ? v : Number(v));
+	const exactOrInf = (r) => (isFinite(r.exact) ? r.exact : Infinity);
 	copy.sort((a, b) => {
 		if (key === "esteps") {
 			return num(a.esteps) - num(b.esteps);                // ASC
+		} else if (key === "exact") {
+			return exactOrInf(a) - exactOrInf(b);                 // ASC, rows without exact last
 		} else if (key === "entropy") {
 			return num(b.entropy) - num(a.entropy);               // DESC
 		} else if (key === "expected") {
@@ -1852,12 +1474,150 @@ function resortSuggestTableBy(key) {
 	const sorted = sortRowsOneWay(lastSuggestRows, key); // Sort rows based on the selected key (E[steps], entropy, etc.)
 	const nice =
 		key === "esteps" ? "Estimated E[steps]" :
+		key === "exact" ? (guessMode() === 'hard' ? "Exact E[steps] (candidates only)" : "Exact E[steps]") :
 		key === "entropy" ? "Entropy" :
 		key === "expected" ? "E[cands]" :
 		key === "maxBucket" ? "Max Bucket" : key;
 	renderSuggestRows(sorted, `by ${nice}`);
 }
 
+/* ===== Starter leaderboard (dp_top_blocks results) ===== */
+// Merges the JSON files written by dp_top_blocks.js (one per block of starters)
+// into one table. Files computed on a different number of words, or in the
+// other DP mode (--mode hard|normal), than the table already holds are skipped.
+// While the whole loaded list is the candidate set and the guess mode matches
+// the DP mode exactly (Candidates Only for hard-mode files, Off for normal-mode
+// ones), the recommender shows these exact values in its Exact column. Strict
+// Hard Mode matches neither: it allows legal non-candidates the DP never tries.
+const STARTER_MODE_FOR = { cands: 'hard', normal: 'normal' }; // guessMode() → DP mode
+const starterBoard = { numCandidates: 0, mode: 'hard', rows: new Map() }; // word → { word, rank, entropy, E }
+// dp_top_blocks.js output format; files without one (format 1) count one more
+// step per solved answer, so they cannot be mixed with current results
+const DP_FORMAT_VERSION = 2;
+const starterStale = new Map(); // file name → command that regenerates it in format 2
+
+/* Format 1 files hold the block they were run for, so the command can be rebuilt */
+function starterRegenerateCommand(json){
+	const args = ['node dp_top_blocks.js exact', `--answers ${json.wordsFile || 'words_2309.txt'}`];
+	if (json.mode === 'normal') args.push('--mode normal', `--guesses ${json.guessesFile || json.wordsFile}`);
+	if (json.blockSize) args.push(`--block-size ${json.blockSize}`, `--block ${json.blockIndex || 1}`);
+	return args.join(' ');
+}
+let starterSortKey = 'E';
+
+function starterExactFor(word){
+	if (!starterBoard.rows.size || starterBoard.numCandidates !== state.all.length) return null;
+	if (state.filtered.length !== state.all.length) return null;
+	if (STARTER_MODE_FOR[guessMode()] !== starterBoard.mode) return null;
+	const r = starterBoard.rows.get(word);
+	return r ? r.E : null;
+}
+async function loadStarterResults(files){
+	let added = 0;
+	for (const f of files) {
+		let json;
+		try {
+			json = JSON.parse(await f.text());
+		} catch (e) {
+			showToast(`${f.name}: not a JSON file.`, 'error');
+			continue;
+		}
+		if (!Array.isArray(json.results) || !json.numCandidates) {
+			showToast(`${f.name}: no dp_top_blocks results found.`, 'error');
+			continue;
+		}
+		if (json.formatVersion !== DP_FORMAT_VERSION) {
+			starterStale.set(f.name, starterRegenerateCommand(json));
+			continue;
+		}
+		starterStale.delete(f.name);
+		if (starterBoard.rows.size && json.numCandidates !== starterBoard.numCandidates) {
+			showToast(`${f.name} was computed on ${json.numCandidates} words, the table holds results for ${starterBoard.numCandidates}. Skipped.`, 'error');
+			continue;
+		}
+		const mode = json.mode === 'normal' ? 'normal' : 'hard';   // files from before --mode are hard mode
+		if (starterBoard.rows.size && mode !== starterBoard.mode) {
+			showToast(`${f.name} holds ${mode}-mode results, the table holds ${starterBoard.mode}-mode ones. Skipped.`, 'error');
+			continue;
+		}
+		starterBoard.numCandidates = json.numCandidates;
+		starterBoard.mode = mode;
+		for (const r of json.results) {
+			if (!/^[a-z]{5}$/.test(r.word) || !isFinite(r.E)) continue;
+			starterBoard.rows.set(r.word, { word: r.word, rank: r.rank, entropy: r.entropy, E: r.E });
+			added++;
+		}
+	}
+	if (starterBoard.rows.size && starterBoard.numCandidates !== state.all.length) {
+		showToast(`The exact results are for ${starterBoard.numCandidates} words; the loaded list has ${state.all.length}, so the recommender won't show them.`, 'warn');
+	}
+	if (added) showToast(`${added} exact results loaded (${starterBoard.rows.size} starters in the table).`, 'success');
+	if (starterStale.size) showToast(`${starterStale.size} file(s) use the old E[steps] counting and must be regenerated; see the leaderboard.`, 'error');
+	renderStarterBoard();
+	if (lastSuggestRows.length) renderSuggestRows(lastSuggestRows, lastSuggestLabel);
+}
+function sortStarterRows(rows, key){
+	return rows.slice().sort((a, b) =>
+		key === 'entropy' ? b.entropy - a.entropy :  // DESC
+		key === 'rank'    ? a.rank - b.rank :        // ASC
+		a.E - b.E                                    // ASC
+	);
+}
+function renderStarterBoard(){
+	const tb = byId('starterTable');
+	const meta = byId('starterMeta');
+	if (!tb || !meta) return;
+	const stale = byId('starterStale');
+	if (stale) {
+		stale.style.display = starterStale.size ? '' : 'none';
+		stale.textContent = starterStale.size
+			? 'Not loaded: written before dp_top_blocks.js output format 2, which stopped counting a step for the guess that hits the answer ' +
+				'(every E[steps] in them is too high). Regenerate them with the current script:\n' +
+				[...starterStale].map(([name, cmd]) => `${name}: ${cmd}`).join('\n')
+			: '';
+	}
+	tb.innerHTML = '';
+	if (!starterBoard.rows.size) {
+		meta.textContent = 'No exact results loaded.';
+		return;
+	}
+	meta.textContent = `${starterBoard.rows.size} starters computed on ${starterBoard.numCandidates} words (${starterBoard.mode} mode)`;
+	for (const r of sortStarterRows([...starterBoard.rows.values()], starterSortKey)) {
+		const tr = document.createElement('tr');
+		tr.innerHTML = `
+			<td>${r.rank || '—'}</td>
+			<td class="mono">${r.word.toUpperCase()}</td>
+			<td>${isFinite(r.entropy) ? r.entropy.toFixed(3) : '—'}</td>
+			<td>${r.E.toFixed(3)}</td>
+			`;
+		tb.appendChild(tr);
+	}
+}
+function initStarterBoard(){
+	const btn = byId('starterLoad');
+	const file = byId('starterFile');
+	if (!btn || !file) return;
+	btn.onclick = () => file.click();
+	file.onchange = async () => {
+		if (file.files?.length) await loadStarterResults([...file.files]);
+		file.value = '';
+	};
+	byId('starterClear').onclick = () => {
+		starterBoard.rows.clear();
+		starterStale.clear();
+		starterBoard.numCandidates = 0;
+		renderStarterBoard();
+		if (lastSuggestRows.length) renderSuggestRows(lastSuggestRows, lastSuggestLabel);
+	};
+	for (const [id, key] of [['starter-sort-rank', 'rank'], ['starter-sort-entropy', 'entropy'], ['starter-sort-exact', 'E']]) {
+		byId(id)?.addEventListener('click', () => {
+			starterSortKey = key;
+			renderStarterBoard();
+		});
+	}
+	renderStarterBoard();
+}
+
 // Map numeric pattern code (e.g. "21002") to emoji (🟩🟨⬛)
 function patternCodeToEmoji(code) {
   if (!code) return '';
@@ -1922,13 +1682,965 @@ function renderAnalyzePatterns(buckets, total, word) {
 
 
 
+/* ===== Game replay (post-mortem) ===== */
+// Replays a finished game turn by turn over the whole loaded list (the filters
+// are ignored). Each turn runs the recommender with the current settings and the
+// player's guess added to the evaluated words, so both E[steps] come from the
+// same lookahead and compare like for like.
+//   Skill = 100 · E[steps](best) / E[steps](guess)
+//   Luck  = share of the answers whose feedback would have left more candidates
+//           than the actual one (ties count half); 50 is an average outcome.
+function turnLuck(S, guess, after){
+	const counts = new Map();
+	for (const code of patternCodesFor(S, guess)) counts.set(code, (counts.get(code) || 0) + 1);
+	let worse = 0, same = 0;
+	for (const c of counts.values()) {
+		if (c > after) worse += c;
+		else if (c === after) same += c;
+	}
+	return 100 * (worse + same / 2) / S.length;
+}
+function renderReplayRow(turn){
+	const tr = document.createElement('tr');
+	const fmt = (x) => (isFinite(x) ? x.toFixed(3) : '—');
+	const cells = [
+		String(turn.t + 1),
+		turn.guess.toUpperCase(),
+		patternCodeToEmoji(turn.fb),
+		String(turn.before),
+		String(turn.after),
+		fmt(turn.mine.entropy),
+		fmt(turn.mine.esteps),
+		turn.best.word.toUpperCase(),
+		fmt(turn.best.esteps),
+		turn.skill.toFixed(0),
+		turn.luck.toFixed(0)
+	];
+	cells.forEach((v, k) => {
+		const td = document.createElement('td');
+		td.textContent = v;
+		if (k === 1 || k === 7) td.className = 'mono';
+		if (k === 1 && turn.best.word !== turn.guess && turn.skill < 100) td.classList.add('miss');
+		tr.appendChild(td);
+	});
+	byId('replayTable').appendChild(tr);
+}
+async function replayGame(){
+	const status = byId('replayStatus');
+	const answer = (byId('replayAnswer').value || '').trim().toLowerCase();
+	let guesses = (byId('replayGuesses').value || '').toLowerCase().split(/[^a-z]+/).filter(Boolean);
+	if (!guesses.length) guesses = state.history.map(h => h.guess);
+	if (!/^[a-z]{5}$/.test(answer)) {
+		showToast('Please enter the 5-letter answer (A–Z).', 'error');
+		return;
+	}
+	if (!guesses.length || guesses.some(w => w.length !== 5)) {
+		showToast('Enter the 5-letter guesses in order (or fill the Guess History).', 'error');
+		return;
+	}
+	if (!state.all.includes(answer)) {
+		showToast(`"${answer.toUpperCase()}" is not in the loaded word list.`, 'error');
+		return;
+	}
+	// Nothing after the winning guess counts
+	const won = guesses.indexOf(answer);
+	if (won >= 0) guesses = guesses.slice(0, won + 1);
+	byId('replayTable').innerHTML = '';
+	state.cancel = false;
+	lockUI(true);
+	try {
+		const mode = guessMode();
+		const ext = (mode === 'cands') ? [] : await getExternalPool();
+		const turns = [];
+		const history = [];
+		let S = state.all.slice();
+		for (let t = 0; t < guesses.length; t++) {
+			const guess = guesses[t];
+			const label = `Turn ${t + 1}/${guesses.length}`;
+			const opts = readRecommenderOptions(S.length);
+			if (opts.guessMode === 'hard') {
+				const c = constraintsFromHistory(history);
+				opts.hardRules = hardRulesFrom(c.pos, c.globalInclude, c.counts);
+			}
+			status.textContent = `${label}: ranking guess pool over ${S.length} candidates ...`;
+			const result = await runRecommender(S, ext, opts, {
+				onRow: (rows, shardsLeft, shardCount, total) => {
+					status.textContent = `${label}: ${rows.length}/${total} evaluated ...`;
+				}
+			}, [guess]);
+			if (result.status === 'error') {
+				status.textContent = 'Replay failed: ' + result.message;
+				showToast('Replay failed: ' + result.message, 'error');
+				return;
+			}
+			if (result.status !== 'done') {
+				status.textContent = `Stopped at turn ${t + 1}.`;
+				return;
+			}
+			const rows = sortRowsByEsteps(result.rows);
+			const best = rows[0];
+			const mine = rows.find(r => r.word === guess);
+			const code = patternCode(guess, answer);
+			const next = S.filter(w => patternCode(guess, w) === code);
+			const turn = {
+				t, guess, best, mine,
+				fb: PATTERN_STRINGS[code],
+				before: S.length,
+				after: next.length,
+				skill: Math.min(100, 100 * best.esteps / mine.esteps),
+				luck: turnLuck(S, guess, next.length)
+			};
+			turns.push(turn);
+			renderReplayRow(turn);
+			history.push({ guess, fb: turn.fb });
+			S = next;
+		}
+		const avg = (k) => turns.reduce((a, x) => a + x[k], 0) / turns.length;
+		const lost = turns.reduce((a, x) => a + Math.max(0, x.mine.esteps - x.best.esteps), 0);
+		status.textContent =
+			(won >= 0 ? `Solved in ${turns.length}` : `Not solved after ${turns.length} guesses`) +
+			` · Skill ${avg('skill').toFixed(0)} · Luck ${avg('luck').toFixed(0)}` +
+			` · E[steps] given up vs. best: ${lost.toFixed(3)}`;
+	} finally {
+		lockUI(false);
+	}
+}
+
+/* ===== Strategy simulator ===== */
+// Plays the current recommender settings against every answer of the loaded
+// list. The opener (typed, or the recommender's best) splits the list into
+// buckets; the buckets are dealt across the workers, which play them out
+// with simulateStrategy (engine.js).
+const SIM_WORDLE_LIMIT = 6; // more guesses than this is a failure
+const SIM_LIST_MAX = 50;    // failures listed by name
+
+function renderSimReport(opener, guesses, total, nodes, stopped){
+	const played = [...guesses];
+	const hist = Array.from({ length: SIM_WORDLE_LIMIT + 1 }, () => 0);
+	for (const [, k] of played) hist[Math.min(k, SIM_WORDLE_LIMIT + 1) - 1]++;
+	const sum = played.reduce((a, [, k]) => a + k, 0);
+	const failures = played.filter(([, k]) => k > SIM_WORDLE_LIMIT).map(([w]) => w).sort();
+	byId('simStatus').textContent =
+		`Opener ${opener.toUpperCase()} · ${played.length}/${total} answers` +
+		(stopped ? ' (stopped)' : '') +
+		` · average ${played.length ? (sum / played.length).toFixed(3) : '—'} guesses` +
+		` · ${failures.length} failure${failures.length === 1 ? '' : 's'}` +
+		` · ${nodes} recommender calls`;
+	const box = byId('simHistogram');
+	box.innerHTML = '';
+	const peak = Math.max(1, ...hist);
+	hist.forEach((count, i) => {
+		const row = document.createElement('div');
+		row.className = 'sim-row';
+		const label = document.createElement('span');
+		label.textContent = i < SIM_WORDLE_LIMIT ? String(i + 1) : `${SIM_WORDLE_LIMIT}+`;
+		const bar = document.createElement('div');
+		bar.className = 'sim-bar' + (i < SIM_WORDLE_LIMIT ? '' : ' fail');
+		bar.style.width = (100 * count / peak) + '%';
+		const n = document.createElement('span');
+		n.textContent = String(count);
+		row.append(label, bar, n);
+		box.appendChild(row);
+	});
+	const worst = played.slice().sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1)).slice(0, 10);
+	byId('simWorst').textContent = worst.length
+		? 'Worst: ' + worst.map(([w, k]) => `${w.toUpperCase()} (${k})`).join(', ')
+		: '';
+	byId('simFailures').textContent = failures.length
+		? `Failures: ${failures.slice(0, SIM_LIST_MAX).join(', ').toUpperCase()}` + (failures.length > SIM_LIST_MAX ? ', …' : '')
+		: '';
+	byId('simReport').style.display = '';
+}
+async function simulateAllAnswers(){
+	const status = byId('simStatus');
+	const S = state.all.slice();
+	let opener = (byId('simOpener').value || '').trim().toLowerCase();
+	if (opener && !/^[a-z]{5}$/.test(opener)) {
+		showToast('The opener must be a 5-letter word (A–Z).', 'error');
+		return;
+	}
+	if (!S.length) {
+		showToast('No word list loaded.', 'error');
+		return;
+	}
+	byId('simReport').style.display = 'none';
+	state.cancel = false;
+	lockUI(true);
+	try {
+		const opts = readSimulatorOptions();
+		const ext = (opts.guessMode === 'cands') ? [] : await getExternalPool();
+		// 1) Opener: typed, or the recommender's best over the whole list
+		if (!opener) {
+			status.textContent = 'Ranking openers ...';
+			const ranked = await runRecommender(S, ext, simNodeOptions(opts, S, []), {
+				onRow: (rows, shardsLeft, shardCount, total) => {
+					status.textContent = `Ranking openers: ${rows.length}/${total} evaluated ...`;
+				}
+			});
+			if (ranked.status === 'error') {
+				status.textContent = 'Simulation failed: ' + ranked.message;
+				showToast('Simulation failed: ' + ranked.message, 'error');
+				return;
+			}
+			if (ranked.status !== 'done') {
+				status.textContent = 'Stopped before the simulation started.';
+				return;
+			}
+			opener = sortRowsByEsteps(ranked.rows)[0].word;
+		}
+		// 2) Opener buckets, largest first so that the workers finish close together
+		const guesses = new Map(); // answer → guesses needed
+		const tasks = [];
+		for (const [fb, bucket] of partitionByPattern(S, opener)) {
+			if (fb === PATTERN_STRINGS[PATTERN_SOLVED]) guesses.set(opener, 1);
+			else tasks.push({ S: bucket, history: [{ guess: opener, fb }] });
+		}
+		tasks.sort((a, b) => b.S.length - a.S.length);
+		let nodes = 1;
+		let result = { status: 'done' };
+		if (tasks.length) {
+			status.textContent = `Opener ${opener.toUpperCase()}: playing ${S.length} answers ...`;
+			const shards = shardGuessPool(tasks, Math.min(SUGGEST_WORKERS, tasks.length));
+			result = await runSuggestJob(
+				shards.map((t, shard) => ({ type: 'simulate', shard, tasks: t, ext, opts })),
+				(msg) => {
+					if (msg.type !== 'sim') return;
+					for (const [w, k] of msg.results) guesses.set(w, k);
+					nodes += msg.nodes;
+					status.textContent = `Opener ${opener.toUpperCase()}: ${guesses.size}/${S.length} answers played ...`;
+				}
+			);
+		}
+		if (result.status === 'error') {
+			status.textContent = 'Simulation failed: ' + result.message;
+			showToast('Simulation failed: ' + result.message, 'error');
+			return;
+		}
+		renderSimReport(opener, guesses, S.length, nodes, result.status !== 'done');
+	} finally {
+		lockUI(false);
+	}
+}
+
+/* ===== Opening book ===== */
+// A fixed opener plus a stored second guess for every feedback it can get.
+// Books live in IndexedDB, one per word list and Hard Mode setting, and let
+// suggestNext() answer turn 1 and turn 2 positions instantly: a position is
+// recognised by its candidate set (the whole list, or one opener bucket).
+// Second guesses are the recommender's picks with the current settings and can
+// be edited by hand. The opener can be typed, picked by the recommender, or
+// read from a dp_top_blocks.js results file (lowest exact E[steps]); a
+// strategy tree from dp_top_blocks.js --tree fills in the whole book.
+const BOOK_DB = 'wordlelab';
+const BOOK_STORE = 'books';
+let bookDbPromise = null;
+const bookMemory = new Map(); // stand-in store when IndexedDB is unavailable
+let currentBook = null;       // { key, opener: row, second: { fb: row }, created }
+let currentBookIndex = new Map(); // candidate-set key → { turn, fb, row }
+
+function openBookDb(){
+	if (!window.indexedDB) return Promise.resolve(null);
+	if (!bookDbPromise) {
+		bookDbPromise = new Promise((resolve) => {
+			const req = indexedDB.open(BOOK_DB, 1);
+			req.onupgradeneeded = () => req.result.createObjectStore(BOOK_STORE, { keyPath: 'key' });
+			req.onsuccess = () => resolve(req.result);
+			req.onerror = () => {
+				console.warn('Opening book not persisted:', req.error);
+				resolve(null);
+			};
+		});
+	}
+	return bookDbPromise;
+}
+async function bookRequest(write, run, fallback){
+	const db = await openBookDb();
+	if (!db) return fallback();
+	return new Promise((resolve, reject) => {
+		const req = run(db.transaction(BOOK_STORE, write ? 'readwrite' : 'readonly').objectStore(BOOK_STORE));
+		req.onsuccess = () => resolve(req.result ?? null);
+		req.onerror = () => reject(req.error);
+	});
+}
+function bookGet(key){
+	return bookRequest(false, st => st.get(key), () => bookMemory.get(key) || null);
+}
+function bookPut(book){
+	return bookRequest(true, st => st.put(book), () => bookMemory.set(book.key, book));
+}
+function bookDelete(key){
+	return bookRequest(true, st => st.delete(key), () => bookMemory.delete(key));
+}
+/* bookPut for the UI: a storage error (quota, private browsing) becomes a toast
+   and the book stays in use until the page is reloaded. Resolves to true once stored */
+async function saveBook(book){
+	try {
+		await bookPut(book);
+		return true;
+	} catch (e) {
+		console.warn('Opening book not saved:', e);
+		showToast(`The opening book could not be saved (${e?.message || e}); it is kept until the page is reloaded.`, 'error');
+		return false;
+	}
+}
+
+/* Identifies the loaded list by size and an FNV-1a hash of its words */
+function wordListFingerprint(words){
+	let h = 0x811c9dc5;
+	for (const w of words) {
+		for (let i = 0; i < w.length; i++) {
+			h ^= w.charCodeAt(i);
+			h = Math.imul(h, 16777619);
+		}
+	}
+	return `${words.length}-${(h >>> 0).toString(16)}`;
+}
+function bookKey(){
+	return `${wordListFingerprint(state.all)}|${guessMode()}`;
+}
+function indexBook(){
+	currentBookIndex = new Map();
+	if (!currentBook) return;
+	currentBookIndex.set(state.all.join(), { turn: 1, fb: '', row: currentBook.opener });
+	for (const [fb, bucket] of partitionByPattern(state.all, currentBook.opener.word)) {
+		const row = currentBook.second[fb];
+		if (row) currentBookIndex.set(bucket.join(), { turn: 2, fb, row });
+	}
+}
+function bookLookup(S){
+	return currentBookIndex.get(S.join()) || null;
+}
+async function refreshBook(){
+	const key = bookKey();
+	let book = null;
+	try {
+		book = await bookGet(key);
+	} catch (e) {
+		console.warn('Opening book not loaded:', e);
+	}
+	if (key !== bookKey()) return; // list or mode changed meanwhile
+	currentBook = book;
+	indexBook();
+	renderBook();
+}
+function renderBook(){
+	const status = byId('bookStatus');
+	const tb = byId('bookTable');
+	if (!status || !tb) return;
+	tb.innerHTML = '';
+	if (!currentBook) {
+		status.textContent = 'No opening book for this word list and Hard Mode setting.';
+		return;
+	}
+	const opener = currentBook.opener;
+	const buckets = partitionByPattern(state.all, opener.word);
+	status.textContent =
+		`Opener ${opener.word.toUpperCase()} (E[steps] ${opener.esteps.toFixed(3)}) · ` +
+		`${Object.keys(currentBook.second).length} second guesses`;
+	const rows = [...buckets].filter(([fb]) => currentBook.second[fb]).sort((a, b) => b[1].length - a[1].length);
+	for (const [fb, bucket] of rows) {
+		const row = currentBook.second[fb];
+		const tr = document.createElement('tr');
+		const tdPattern = document.createElement('td');
+		tdPattern.textContent = patternCodeToEmoji(fb);
+		const tdSize = document.createElement('td');
+		tdSize.textContent = String(bucket.length);
+		const tdGuess = document.createElement('td');
+		const ipt = document.createElement('input');
+		ipt.className = 'book-guess';
+		ipt.maxLength = 5;
+		ipt.value = row.word.toUpperCase();
+		ipt.title = 'Type another second guess for this feedback';
+		ipt.onchange = () => editBookGuess(fb, bucket, ipt.value);
+		tdGuess.appendChild(ipt);
+		const tdSteps = document.createElement('td');
+		tdSteps.textContent = isFinite(row.esteps) ? row.esteps.toFixed(3) : '—';
+		tr.append(tdPattern, tdSize, tdGuess, tdSteps);
+		tb.appendChild(tr);
+	}
+}
+/* Evaluates given guesses on the worker pool. tasks: [{ key, S, guess, history }],
+   each scored with the per-node options for its position; onRow(done, total).
+   Resolves to { status, rows: key → row, message } */
+async function scoreBookGuesses(tasks, opts, onRow){
+	const rows = {};
+	let done = 0;
+	const shards = shardGuessPool(tasks, Math.min(SUGGEST_WORKERS, tasks.length));
+	const result = await runSuggestJob(
+		shards.map((t, shard) => ({ type: 'score', shard, tasks: t, opts })),
+		(msg) => {
+			if (msg.type !== 'score') return;
+			rows[msg.key] = msg.row;
+			if (onRow) onRow(++done, tasks.length);
+		}
+	);
+	return { status: result.status, rows, message: result.message };
+}
+async function editBookGuess(fb, bucket, value){
+	const word = (value || '').trim().toLowerCase();
+	if (!/^[a-z]{5}$/.test(word)) {
+		showToast('Please enter a 5-letter word (A–Z).', 'error');
+		renderBook();
+		return;
+	}
+	const book = currentBook;
+	const history = [{ guess: book.opener.word, fb }];
+	const opts = readSimulatorOptions();
+	const nodeOpts = simNodeOptions(opts, bucket, history);
+	if (nodeOpts.guessMode === 'hard' && !isHardModeLegal(word, nodeOpts.hardRules)) {
+		showToast(`"${word.toUpperCase()}" is not allowed in Hard Mode after ${book.opener.word.toUpperCase()}.`, 'error');
+		renderBook();
+		return;
+	}
+	byId('bookStatus').textContent = `Evaluating ${word.toUpperCase()} for ${patternCodeToEmoji(fb)} ...`;
+	state.cancel = false;
+	lockUI(true);
+	let scored;
+	try {
+		scored = await scoreBookGuesses([{ key: fb, S: bucket, guess: word, history }], opts);
+	} finally {
+		lockUI(false);
+	}
+	if (scored.status !== 'done' || book !== currentBook) {
+		if (scored.status === 'error') showToast('Evaluation failed: ' + scored.message, 'error');
+		renderBook();
+		return;
+	}
+	book.second[fb] = scored.rows[fb];
+	await saveBook(book);
+	indexBook();
+	renderBook();
+}
+async function buildBook(){
+	const status = byId('bookStatus');
+	const S = state.all.slice();
+	const typed = (byId('bookOpener').value || '').trim().toLowerCase();
+	if (typed && !/^[a-z]{5}$/.test(typed)) {
+		showToast('The opener must be a 5-letter word (A–Z).', 'error');
+		return;
+	}
+	if (!S.length) {
+		showToast('No word list loaded.', 'error');
+		return;
+	}
+	const key = bookKey();
+	state.cancel = false;
+	lockUI(true);
+	try {
+		const opts = readSimulatorOptions();
+		const ext = (opts.guessMode === 'cands') ? [] : await getExternalPool();
+		// 1) Opener: typed (or from a DP file), else the recommender's best
+		let opener;
+		if (typed) {
+			status.textContent = `Evaluating opener ${typed.toUpperCase()} ...`;
+			const scored = await scoreBookGuesses([{ key: typed, S, guess: typed, history: [] }], opts);
+			if (scored.status !== 'done') {
+				status.textContent = scored.status === 'error' ? 'Book failed: ' + scored.message : 'Stopped: book not saved.';
+				return;
+			}
+			opener = scored.rows[typed];
+		} else {
+			status.textContent = 'Ranking openers ...';
+			const ranked = await runRecommender(S, ext, simNodeOptions(opts, S, []), {
+				onRow: (rows, shardsLeft, shardCount, total) => {
+					status.textContent = `Ranking openers: ${rows.length}/${total} evaluated ...`;
+				}
+			});
+			if (ranked.status !== 'done') {
+				status.textContent = ranked.status === 'error' ? 'Book failed: ' + ranked.message : 'Stopped: book not saved.';
+				return;
+			}
+			opener = sortRowsByEsteps(ranked.rows)[0];
+		}
+		// 2) Second guess for every opener bucket, largest buckets first
+		const tasks = [];
+		for (const [fb, bucket] of partitionByPattern(S, opener.word)) {
+			if (fb !== PATTERN_STRINGS[PATTERN_SOLVED]) tasks.push({ key: fb, S: bucket, history: [{ guess: opener.word, fb }] });
+		}
+		tasks.sort((a, b) => b.S.length - a.S.length);
+		const second = {};
+		let done = 0;
+		status.textContent = `Opener ${opener.word.toUpperCase()}: picking ${tasks.length} second guesses ...`;
+		const shards = shardGuessPool(tasks, Math.min(SUGGEST_WORKERS, tasks.length));
+		const result = await runSuggestJob(
+			shards.map((t, shard) => ({ type: 'best', shard, tasks: t, ext, opts })),
+			(msg) => {
+				if (msg.type !== 'best') return;
+				second[msg.key] = msg.row;
+				status.textContent = `Opener ${opener.word.toUpperCase()}: ${++done}/${tasks.length} second guesses ...`;
+			}
+		);
+		if (result.status !== 'done') {
+			status.textContent = result.status === 'error' ? 'Book failed: ' + result.message : 'Stopped: book not saved.';
+			return;
+		}
+		currentBook = { key, opener, second, created: Date.now() };
+		const saved = await saveBook(currentBook);
+		indexBook();
+		renderBook();
+		if (saved) showToast('Opening book saved.', 'success');
+	} finally {
+		lockUI(false);
+	}
+}
+async function deleteBook(){
+	if (!currentBook) return;
+	try {
+		await bookDelete(currentBook.key);
+	} catch (e) {
+		console.warn('Opening book not deleted:', e);
+		showToast(`The opening book could not be deleted (${e?.message || e}).`, 'error');
+		return;
+	}
+	currentBook = null;
+	indexBook();
+	renderBook();
+	showToast('Opening book deleted.', 'info');
+}
+/* Text tree file ("salet BBBYB courd ... GGGGG", one line per answer): first two levels */
+function bookTreeFromText(text){
+	const lines = text.split(/\r?\n/).map(l => l.trim().toLowerCase().split(/\s+/)).filter(t => t.length >= 2);
+	if (!lines.length) throw new Error('no tree lines');
+	const tree = { guess: lines[0][0], next: {} };
+	for (const t of lines) {
+		if (t[0] !== tree.guess) throw new Error(`a line starts with ${t[0].toUpperCase()}, not ${tree.guess.toUpperCase()}`);
+		const fb = t[1].replace(/[byg]/g, c => ({ b: '0', y: '1', g: '2' })[c]);
+		if (!/^[012]{5}$/.test(fb)) throw new Error(`bad feedback "${t[1]}"`);
+		if (t[2] && !tree.next[fb]) tree.next[fb] = { guess: t[2] };
+	}
+	return tree;
+}
+/* Strategy tree (dp_top_blocks.js --tree): its opener and second guesses become the book */
+async function importBookTree(tree, numCandidates){
+	const S = state.all.slice();
+	if (numCandidates && numCandidates !== S.length) {
+		showToast(`This tree was computed on ${numCandidates} words, not the ${S.length} loaded. Not imported.`, 'error');
+		return;
+	}
+	const key = bookKey();
+	const opts = readSimulatorOptions();
+	// The opener and every second guess are scored in one worker job ('' = the opener)
+	const tasks = [{ key: '', S, guess: tree.guess, history: [] }];
+	let missing = 0, illegal = 0;
+	for (const [fb, bucket] of partitionByPattern(S, tree.guess)) {
+		if (fb === PATTERN_STRINGS[PATTERN_SOLVED]) continue;
+		const child = tree.next?.[fb];
+		if (!child || !/^[a-z]{5}$/.test(child.guess)) {
+			missing++;
+			continue;
+		}
+		const history = [{ guess: tree.guess, fb }];
+		const nodeOpts = simNodeOptions(opts, bucket, history);
+		if (nodeOpts.guessMode === 'hard' && !isHardModeLegal(child.guess, nodeOpts.hardRules)) {
+			illegal++;
+			continue;
+		}
+		tasks.push({ key: fb, S: bucket, guess: child.guess, history });
+	}
+	const status = byId('bookStatus');
+	status.textContent = `Importing the ${tree.guess.toUpperCase()} tree ...`;
+	state.cancel = false;
+	lockUI(true);
+	let scored;
+	try {
+		scored = await scoreBookGuesses(tasks, opts, (done, total) => {
+			status.textContent = `Importing the ${tree.guess.toUpperCase()} tree: ${done}/${total} guesses evaluated ...`;
+		});
+	} finally {
+		lockUI(false);
+	}
+	if (scored.status !== 'done') {
+		status.textContent = scored.status === 'error' ? 'Import failed: ' + scored.message : 'Stopped: book not imported.';
+		return;
+	}
+	const { '': opener, ...second } = scored.rows;
+	currentBook = { key, opener, second, created: Date.now() };
+	const saved = await saveBook(currentBook);
+	indexBook();
+	renderBook();
+	if (!saved) return;
+	const skipped = [missing && `${missing} feedbacks not in the tree`, illegal && `${illegal} guesses not allowed in Hard Mode`].filter(Boolean);
+	showToast(
+		`Opening book imported from the ${opener.word.toUpperCase()} tree` + (skipped.length ? ` (skipped: ${skipped.join(', ')}).` : '.'),
+		skipped.length ? 'warn' : 'success'
+	);
+}
+/* dp_top_blocks.js output: a strategy tree becomes the book, a results file
+   gives the opener (the starter with the lowest exact E[steps]) */
+async function loadBookOpenerFromDp(file){
+	try {
+		const text = await file.text();
+		let json;
+		try {
+			json = JSON.parse(text);
+		} catch (e) {
+			await importBookTree(bookTreeFromText(text), 0);
+			return;
+		}
+		if (json.tree) {
+			await importBookTree(json.tree, json.numCandidates);
+			return;
+		}
+		const results = (json.results || []).filter(r => /^[a-z]{5}$/.test(r.word) && isFinite(r.E));
+		if (!results.length) throw new Error('no results');
+		const best = results.reduce((a, r) => (r.E < a.E ? r : a));
+		byId('bookOpener').value = best.word.toUpperCase();
+		if (json.numCandidates && json.numCandidates !== state.all.length) {
+			showToast(`These results were computed on ${json.numCandidates} words, not the ${state.all.length} loaded.`, 'warn');
+		}
+		showToast(`Opener set to ${best.word.toUpperCase()} (exact E[steps] ${best.E.toFixed(3)}). Press Build to compute the book.`, 'info');
+	} catch (e) {
+		alert('Load failed: ' + e.message);
+	}
+}
+function initBook(){
+	const build = byId('bookBuild');
+	if (!build) return;
+	build.onclick = () => buildBook();
+	byId('bookDelete').onclick = () => deleteBook();
+	const file = byId('bookDpFile');
+	byId('bookLoadDp').onclick = () => file.click();
+	file.onchange = async () => {
+		const f = file.files?.[0];
+		if (f) await loadBookOpenerFromDp(f);
+		file.value = '';
+	};
+	byId('hardMode').addEventListener('change', refreshBook);
+}
+
 /* ===== Mode wiring (Hard ↔ Pool) ===== */
 function syncModeControls(){
-	const hard = byId('hardMode').checked;
-	byId('poolSelect').disabled = hard;
-	byId('modeNote').textContent = hard
-		? 'Hard Mode ON'
-		: 'Hard Mode OFF';
+	const mode = guessMode();
+	byId('poolSelect').disabled = (mode === 'cands');
+	byId('modeNote').textContent =
+		mode === 'hard'  ? 'Hard Mode ON (greens stay, revealed letters reused)' :
+		mode === 'cands' ? 'Candidates Only' :
+		'Hard Mode OFF';
+	// The exact solver only guesses candidates in both Hard Mode flavors, which is
+	// not the optimum under the strict rules (those allow any legal word)
+	const hExact = byId('sort-exact');
+	hExact.textContent = mode === 'hard' ? 'Exact (candidates only)' : 'Exact';
+	hExact.title = mode === 'hard'
+		? 'Click to show the Top 10 by exact E[steps] when every later guess is a candidate; not the Hard Mode optimum (only with Exact checked)'
+		: 'Click to show the Top 10 by exact optimal E[steps] (only with Exact checked)';
+}
+
+
+/* ===== Undo / redo ===== */
+// Every filter edit ends in apply(), so apply() is where steps are recorded:
+// when the filter state differs from the last one seen, the previous state is
+// pushed onto the undo stack. Consecutive search keystrokes merge into one step.
+const UNDO_LIMIT = 100;
+const undoStack = [], redoStack = [];
+let undoCurrent = null;     // { json, key } of the filter state on screen
+let undoLastKind = '';      // 'search' | 'edit'
+let undoReplaying = false;  // true while undo/redo itself re-applies a state
+
+function filterSnapshot(){
+	return {
+		pos: state.pos.map(p => ({ include: [...p.include], exclude: [...p.exclude] })),
+		globalInclude: [...state.globalInclude],
+		globalExclude: [...state.globalExclude],
+		search: state.search,
+		history: state.history.map(h => ({ guess: h.guess, fb: h.fb })),
+		exactFeedback: state.exactFeedback,
+		letterCounts: [...state.letterCounts]
+	};
+}
+function restoreFilters(s){
+	(s.pos || []).slice(0, 5).forEach((p, i) => {
+		state.pos[i].include = new Set(p.include);
+		state.pos[i].exclude = new Set(p.exclude);
+	});
+	state.globalInclude = new Set(s.globalInclude);
+	state.globalExclude = new Set(s.globalExclude);
+	state.search = s.search || '';
+	state.searchTester = buildSearchTester(state.search);
+	byId('searchBox').value = state.search;
+	state.history = Array.isArray(s.history) ? s.history : [];
+	state.exactFeedback = s.exactFeedback !== false;
+	const exact = byId('exactFeedback');
+	if (exact) exact.checked = state.exactFeedback;
+	state.letterCounts = new Map(s.letterCounts || []);
+	renderHistory();
+	refresh();
+	apply();
+}
+function undoEntry(){
+	const snap = filterSnapshot();
+	const json = JSON.stringify(snap);
+	snap.search = '';
+	return { json, key: JSON.stringify(snap) };
+}
+function trackFilterChange(){
+	const next = undoEntry();
+	if (undoReplaying || !undoCurrent) {
+		undoCurrent = next;
+		return;
+	}
+	if (next.json === undoCurrent.json) return;
+	const kind = next.key === undoCurrent.key ? 'search' : 'edit';
+	if (!(kind === 'search' && undoLastKind === 'search')) {
+		undoStack.push(undoCurrent.json);
+		if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+		redoStack.length = 0;
+	}
+	undoCurrent = next;
+	undoLastKind = kind;
+	updateUndoButtons();
+}
+function resetUndo(){
+	undoStack.length = 0;
+	redoStack.length = 0;
+	undoCurrent = undoEntry();
+	undoLastKind = '';
+	updateUndoButtons();
+}
+function stepUndo(from, to){
+	if (!from.length) return;
+	to.push(undoCurrent.json);
+	endHistoryEdit();
+	undoReplaying = true;
+	try {
+		restoreFilters(JSON.parse(from.pop()));
+	} finally {
+		undoReplaying = false;
+	}
+	undoLastKind = '';
+	updateUndoButtons();
+}
+function undoFilters(){ stepUndo(undoStack, redoStack); }
+function redoFilters(){ stepUndo(redoStack, undoStack); }
+function updateUndoButtons(){
+	const u = byId('undoBtn'), r = byId('redoBtn');
+	if (u) u.disabled = uiLocked || !undoStack.length;
+	if (r) r.disabled = uiLocked || !redoStack.length;
+}
+function initUndo(){
+	const u = byId('undoBtn'), r = byId('redoBtn');
+	if (u) u.onclick = undoFilters;
+	if (r) r.onclick = redoFilters;
+	// Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo
+	document.addEventListener('keydown', (e) => {
+		if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+		if (uiLocked || e.target.closest?.('input, textarea, select')) return;
+		e.preventDefault();
+		if (e.shiftKey) redoFilters();
+		else undoFilters();
+	});
+	updateUndoButtons();
+}
+
+/* ===== Session persistence ===== */
+// The whole session (filters, history, word list, recommender settings and the
+// last suggestion table) is snapshotted to localStorage on every change and
+// restored at boot. Bump SESSION_VERSION when the snapshot shape changes:
+// older snapshots are then ignored instead of half-restored.
+const SESSION_KEY = 'wf-session';
+const SESSION_WORDS_KEY = 'wf-session-words'; // custom list, written only when loaded
+const SESSION_VERSION = 1;
+const SESSION_CONTROLS = ['hardMode','poolSelect','exactSearch','useBook','maxCand','maxPool','deepEstepThreshold','lookaheadDepth','branchCap','deepSearch'];
+let sessionPaused = true; // no snapshots until the boot restore has finished
+
+function snapshotSession(){
+	const controls = {};
+	for (const id of SESSION_CONTROLS) {
+		const el = byId(id);
+		if (el) controls[id] = el.type === 'checkbox' ? el.checked : el.value;
+	}
+	return {
+		v: SESSION_VERSION,
+		wordList: byId('wordListSelect')?.value || 'wl2309',
+		filterMode: currentMode,
+		...filterSnapshot(),
+		activePos: state.activePos,
+		controls,
+		suggest: { rows: lastSuggestRows, label: lastSuggestLabel }
+	};
+}
+function saveSession(){
+	if (sessionPaused) return;
+	try {
+		localStorage.setItem(SESSION_KEY, JSON.stringify(snapshotSession()));
+	} catch (e) {
+		console.warn('Session not saved:', e);
+	}
+}
+function saveSessionWords(words){
+	if (sessionPaused) return;
+	try {
+		localStorage.setItem(SESSION_WORDS_KEY, JSON.stringify({ v: SESSION_VERSION, words }));
+	} catch (e) {
+		console.warn('Custom word list not saved:', e);
+	}
+}
+function readStored(key){
+	try {
+		const s = JSON.parse(localStorage.getItem(key));
+		return s && s.v === SESSION_VERSION ? s : null;
+	} catch (e) {
+		return null;
+	}
+}
+const SESSION_LIST_FILES = {
+	wl2309:  'wordle_solutions_2309.csv',
+	wl3207:  'wordle_solutions_3207.csv',
+	wl14855: 'wordle_solutions_14855.csv'
+};
+async function restoreSession(s){
+	// 1) Word list (custom lists come from their own key; fall back to the default)
+	let list = s.wordList, words = null;
+	if (list === 'custom') words = readStored(SESSION_WORDS_KEY)?.words || null;
+	if (!words) {
+		if (!SESSION_LIST_FILES[list]) list = 'wl2309';
+		words = await fetchCsv(SESSION_LIST_FILES[list]);
+		if (list === 'wl2309') state.base2309 = words.slice();
+	}
+	byId('wordListSelect').value = list;
+	loadWordsFromArray(words);
+	// 2) Recommender settings
+	for (const [id, v] of Object.entries(s.controls || {})) {
+		const el = byId(id);
+		if (!el) continue;
+		if (el.type === 'checkbox') el.checked = !!v;
+		else if (el.tagName !== 'SELECT' || [...el.options].some(o => o.value === v)) el.value = v;
+	}
+	syncModeControls();
+	refreshBook();
+	if (s.filterMode === 'adv') setFilterMode('adv');
+	// 3) Filters
+	state.activePos = Math.min(4, Math.max(0, s.activePos | 0));
+	renderTabs();
+	restoreFilters(s);
+	// 4) Last suggestion table (JSON turns Infinity into null)
+	const rows = (s.suggest?.rows || []).map(r => ({ ...r, esteps: r.esteps ?? Infinity, exact: r.exact ?? Infinity }));
+	if (rows.length) {
+		lastSuggestRows = rows;
+		lastSuggestLabel = s.suggest.label || '';
+		renderSuggestRows(lastSuggestRows, lastSuggestLabel);
+	}
+}
+function forgetSession(){
+	if (!confirm('Forget the saved session? Filters, history and settings go back to their defaults.')) return;
+	sessionPaused = true;
+	localStorage.removeItem(SESSION_KEY);
+	localStorage.removeItem(SESSION_WORDS_KEY);
+	location.reload();
+}
+function initSession(){
+	for (const id of SESSION_CONTROLS) {
+		const el = byId(id);
+		if (el) el.addEventListener('change', saveSession);
+	}
+	const btn = byId('forgetSession');
+	if (btn) btn.onclick = forgetSession;
+	const link = byId('copyLink');
+	if (link) link.onclick = copyPermalink;
+}
+
+/* ===== Permalink ===== */
+// The puzzle state as a short URL hash (URLSearchParams syntax), e.g.
+//   #w=wl2309&p=a_._rc._._._&x=tes&h=crane02100&hm=hard
+// p: the five slots as "include_exclude" letters, joined by '.'
+// h: history rows as guess + feedback digits; c: letter counts as "e1-2" (both '.'-joined)
+// Only characters URLSearchParams leaves unescaped are used as separators.
+// Recommender settings are written only when they differ from the page defaults.
+// Decoding yields a session snapshot, so the boot handler restores it like one.
+const PERMALINK_CONTROLS = {
+	hm: 'hardMode', gp: 'poolSelect', ex: 'exactSearch', mc: 'maxCand', mp: 'maxPool',
+	dl: 'deepEstepThreshold', la: 'lookaheadDepth', bc: 'branchCap', ds: 'deepSearch'
+};
+function controlDefault(el){
+	if (el.type === 'checkbox') return el.defaultChecked;
+	if (el.tagName === 'SELECT') return ([...el.options].find(o => o.defaultSelected) || el.options[0])?.value;
+	return el.defaultValue;
+}
+function encodePermalink(s){
+	const q = new URLSearchParams();
+	q.set('w', s.wordList);
+	const slots = s.pos.map(p => p.include.join('') + '_' + p.exclude.join(''));
+	if (slots.some(t => t !== '_')) q.set('p', slots.join('.'));
+	if (s.globalInclude.length) q.set('i', s.globalInclude.join(''));
+	if (s.globalExclude.length) q.set('x', s.globalExclude.join(''));
+	if (s.search) q.set('q', s.search);
+	if (s.history.length) q.set('h', s.history.map(h => h.guess + h.fb).join('.'));
+	if (!s.exactFeedback) q.set('e', '0');
+	if (s.letterCounts.length) q.set('c', s.letterCounts.map(([ch, r]) => `${ch}${r.min}-${r.max}`).join('.'));
+	for (const [key, id] of Object.entries(PERMALINK_CONTROLS)) {
+		const el = byId(id);
+		if (!el || !(id in s.controls)) continue;
+		const v = s.controls[id];
+		if (v === controlDefault(el)) continue;
+		q.set(key, el.type === 'checkbox' ? (v ? '1' : '0') : v);
+	}
+	return q.toString();
+}
+function decodePermalink(hash){
+	const q = new URLSearchParams(hash.replace(/^#/, ''));
+	if (!q.has('w')) return null;
+	const letters = (t) => (t || '').toLowerCase().split('').filter(ch => /[a-z]/.test(ch));
+	const slots = (q.get('p') || '').split('.');
+	const controls = {};
+	for (const [key, id] of Object.entries(PERMALINK_CONTROLS)) {
+		const el = byId(id);
+		if (!el) continue;
+		const v = q.has(key) ? q.get(key) : null;
+		if (el.type === 'checkbox') controls[id] = v === null ? controlDefault(el) : v === '1';
+		else controls[id] = v === null ? controlDefault(el) : v;
+	}
+	const history = [];
+	for (const t of (q.get('h') || '').split('.')) {
+		const m = /^([a-z]{5})([012]{5})$/.exec(t.toLowerCase());
+		if (m) history.push({ guess: m[1], fb: m[2] });
+	}
+	const letterCounts = [];
+	for (const t of (q.get('c') || '').split('.')) {
+		const m = /^([a-z])(\d)-(\d)$/.exec(t.toLowerCase());
+		if (m) letterCounts.push([m[1], { min: +m[2], max: +m[3] }]);
+	}
+	return {
+		v: SESSION_VERSION,
+		// A custom list is not in the link: open on the default one, as the
+		// sender was told, never on the recipient's own saved list
+		wordList: q.get('w') === 'custom' ? 'wl2309' : q.get('w'),
+		filterMode: currentMode,
+		pos: Array.from({ length: 5 }, (_, i) => {
+			const [inc, exc] = (slots[i] || '').split('_');
+			return { include: letters(inc), exclude: letters(exc) };
+		}),
+		activePos: 0,
+		globalInclude: letters(q.get('i')),
+		globalExclude: letters(q.get('x')),
+		search: q.get('q') || '',
+		history,
+		exactFeedback: q.get('e') !== '0',
+		letterCounts,
+		controls,
+		suggest: { rows: [], label: '' }
+	};
+}
+/* Opening a link replaces the saved session, so ask first unless that session
+   holds nothing a link would carry, or exactly what this one does */
+function confirmPermalink(linked, saved){
+	if (!saved) return true;
+	const current = encodePermalink(saved);
+	if (current === encodePermalink(linked) || current === new URLSearchParams({ w: saved.wordList }).toString()) return true;
+	const n = saved.history?.length || 0;
+	const guesses = n ? ` (${n} guess${n === 1 ? '' : 'es'})` : '';
+	return confirm(`This link replaces your saved session${guesses} with the puzzle it shares. Open the link? Cancel keeps your session.`);
+}
+async function copyPermalink(){
+	const s = snapshotSession();
+	if (s.wordList === 'custom') {
+		showToast('Custom word lists are not part of the link: it opens on the default list.', 'warn');
+	}
+	const url = location.href.split('#')[0] + '#' + encodePermalink(s);
+	try {
+		await navigator.clipboard.writeText(url);
+		showToast('Link copied to the clipboard.', 'success');
+	} catch (e) {
+		prompt('Copy this link:', url);
+	}
 }
 
 /* ===== Wire events ===== */
@@ -1944,6 +2656,12 @@ function wire(){
 	refresh();
 	// init Basic/Advanced filter mode toggle
 	initFilterModeToggle();	
+	initHistoryPanel();
+	initLetterCounts();
+	initSession();
+	initUndo();
+	initBook();
+	initStarterBoard();
 	byId('searchBox').oninput=e=>{
 		state.search=e.target.value;
 		state.searchTester=buildSearchTester(state.search);
@@ -1960,6 +2678,10 @@ function wire(){
 		state.search='';
 		state.searchTester=null;
 		byId('searchBox').value='';
+		state.history=[];
+		state.letterCounts=new Map();
+		endHistoryEdit();
+		renderHistory();
 		refresh();
 		apply();
 	};
@@ -1975,6 +2697,7 @@ function wire(){
 				const words = parseWordsFromCsvText(text);
 				if (!words.length) throw new Error('empty');
 				loadWordsFromArray(words);
+				saveSessionWords(words);
 			} catch (e) {
 				alert('Load failed: ' + e.message);
 			} finally {
@@ -2003,12 +2726,17 @@ function wire(){
 	}
 	const btnNext = byId('suggestNext');
 	if (btnNext) btnNext.onclick = () => suggestNext();
+	const btnReplay = byId('replayBtn');
+	if (btnReplay) btnReplay.onclick = () => replayGame();
+	const btnSim = byId('simBtn');
+	if (btnSim) btnSim.onclick = () => simulateAllAnswers();
 	byId('resetSuggest').onclick=()=>{
 		resetSuggestions();
 		showToast("All suggestion results have been cleared.", "info");
 	};
 	byId('stopBtn').onclick=()=>{
 		state.cancel=true;
+		cancelSuggestJob();
 		byId('suggestStatus').textContent+=' (stopping…)';
 		showToast("Computation stopped. Partial results are shown.", "warn");
 	};
@@ -2026,14 +2754,34 @@ document.addEventListener('DOMContentLoaded', async function(){
 	// Disable Stop button at startup
 	const stop = byId('stopBtn');
 	if (stop) stop.disabled = true;
+	let saved = null;
 	try{
-		const base = await fetchCsv('wordle_solutions_2309.csv');
-		state.base2309 = base.slice();
-		loadWordsFromArray(base);
-		const sel = byId('wordListSelect');
-		if (sel) sel.value = 'wl2309';   // sync UI with default
+		// A permalink wins over the saved session once the user agrees; the hash
+		// is then dropped so that later reloads come back to the session.
+		const linked = location.hash ? decodePermalink(location.hash) : null;
+		const stored = readStored(SESSION_KEY);
+		saved = linked && confirmPermalink(linked, stored) ? linked : stored;
+		if (linked) history.replaceState(null, '', location.href.split('#')[0]);
+		if (saved) {
+			await restoreSession(saved);
+		} else {
+			const base = await fetchCsv('wordle_solutions_2309.csv');
+			state.base2309 = base.slice();
+			loadWordsFromArray(base);
+			const sel = byId('wordListSelect');
+			if (sel) sel.value = 'wl2309';   // sync UI with default
+		}
+		sessionPaused = false;
+		saveSession();
 	} catch(e) {
+		// e.g. the word list did not download: snapshots stay off, so the
+		// half-restored page cannot overwrite the stored session
 		console.error(e);
+		showToast(saved
+			? 'The saved session could not be restored. It is kept: reload the page to try again.'
+			: 'The word list could not be loaded. Reload the page to try again.', 'error');
+	} finally {
+		resetUndo(); // the restored state is the first step, not an undoable edit
 	}
 });
 
@@ -2057,16 +2805,23 @@ document.addEventListener("DOMContentLoaded", function() {
   attachToggle("wordListsToggle",   "wordListsContent");
   attachToggle("recommenderToggle", "recommenderContent");
   attachToggle("analyzerHelpToggle",  "analyzerHelpContent");
+  attachToggle("historyHelpToggle", "historyHelpContent");
+  attachToggle("replayHelpToggle",  "replayHelpContent");
+  attachToggle("simHelpToggle",     "simHelpContent");
+  attachToggle("starterHelpToggle", "starterHelpContent");
+  attachToggle("bookHelpToggle",    "bookHelpContent");
   attachToggle("searchHelpToggle",  "searchHelpContent");
   attachToggle("disclaimerToggle",  "disclaimerContent");
 });
 
 document.addEventListener("DOMContentLoaded", () => {
 	const hSteps   = document.getElementById("sort-steps");
+	const hExact   = document.getElementById("sort-exact");
 	const hEntropy = document.getElementById("sort-entropy");
 	const hCands   = document.getElementById("sort-cands");
 	const hBucket  = document.getElementById("sort-bucket");
 	if (hSteps)   hSteps.addEventListener("click",   () => resortSuggestTableBy("esteps"));
+	if (hExact)   hExact.addEventListener("click",   () => resortSuggestTableBy("exact"));
 	if (hEntropy) hEntropy.addEventListener("click", () => resortSuggestTableBy("entropy"));
 	if (hCands)   hCands.addEventListener("click",   () => resortSuggestTableBy("expected"));
 	if (hBucket)  hBucket.addEventListener("click",  () => resortSuggestTableBy("maxBucket"));
@@ -2087,7 +2842,7 @@ document.addEventListener("DOMContentLoaded", () => {
 		if(lis.length) return lis.map(li=>li.textContent.trim().toLowerCase()).filter(w=>/^[a-z]{5}$/.test(w));
 		return [];
 	}
-	function analyzeWord(word, set){
+	async function analyzeWord(word, set){
 		word = (word||'').toLowerCase();
 		if(!/^[a-z]{5}$/.test(word)) {
 			return {
@@ -2099,20 +2854,23 @@ document.addEventListener("DOMContentLoaded", () => {
 				error:'No candidates loaded.'
 			};
 		}
-		const deepAnalyze = byId('deepSearch').checked;
-		const met = entropyAndExpectedSize(set, word);
-		let esteps = null;
+		// The lookahead runs on a worker like the recommender's: the deep one
+		// (up to 8 levels) would freeze the page. Stop cancels it.
+		const opts = { guessMode: 'normal', useDeep: byId('deepSearch').checked, depth: 0, branchCap: 0, exact: false };
+		let row = null;
+		lockUI(true);
 		try {
-			if (deepAnalyze) {
-				esteps = EstepsOneLookaheadDeep(set, word);
-			} else {
-				esteps = EstepsOneLookahead(set, word);
-			}
-		} catch(e) {
-			esteps = null;
+			const result = await runSuggestJob(
+				[{ type: 'eval', shard: 0, S: set, guesses: [word], pool: [], opts }],
+				(msg) => { if (msg.type === 'row') row = msg.row; }
+			);
+			if (result.status === 'error') return { error: 'Analysis failed: ' + result.message };
+			if (result.status !== 'done' || !row) return { error: 'Analysis stopped.' };
+		} finally {
+			lockUI(false);
 		}
 		return {
-			word, esteps, entropy:met.entropy, expected:met.expected, maxBucket:met.maxBucket, buckets:met.buckets
+			word, esteps:row.esteps, entropy:row.entropy, expected:row.expected, maxBucket:row.maxBucket, buckets:partitionByPattern(set, word)
 		};
 	}
 	function renderAnalyzeRow(result){
@@ -2149,10 +2907,12 @@ document.addEventListener("DOMContentLoaded", () => {
 		}
 		tbody.appendChild(tr);
 	}
-	function onAnalyze(){
+	async function onAnalyze(){
+		if (uiLocked) return;
 		const set = getCandidates();
 		const val = (document.getElementById('analyzeInput').value||'').trim();
-		const result = analyzeWord(val, set);
+		renderAnalyzeRow({ error: 'Analyzing …' });
+		const result = await analyzeWord(val, set);
 		// 1) Table
 		renderAnalyzeRow(result);
 		// 2) Pattern distribution panel
@@ -0,0 +1,114 @@
+/* =====================================
+   Wordle Lab – Recommender Worker
+   Runs the suggestNext() pipeline off the main thread. The page keeps a
+   pool of these (one per core): one worker ranks the guess pool, then the
+   pool is sharded across all workers for the E[steps] loop. The strategy
+   simulator deals the opener's buckets across the pool the same way.
+
+   Messages in:
+     { type:'list', words, maxBytes }       loaded word list: (re)builds the pattern table,
+                                            capped at maxBytes (the page's per-worker share)
+     { type:'pool', id, S, ext, opts }      opts: { guessMode, hardRules, maxCand, maxPool,
+                                                     useDeep, depth, branchCap, exact }
+     { type:'eval', id, shard, S, guesses, pool, opts }
+     { type:'exact', id, shard, S, tasks, pool, hard }
+                                            tasks: [{ key, words }] buckets of S to solve exactly
+     { type:'simulate', id, shard, tasks, ext, opts }
+                                            tasks: [{ S, history }] subtrees to play out
+     { type:'best', id, shard, tasks, ext, opts }
+                                            tasks: [{ key, S, history }] positions to pick for
+     { type:'score', id, shard, tasks, opts }
+                                            tasks: [{ key, S, guess, history }] fixed guesses to evaluate
+   Messages out (all carry the job id):
+     { type:'progress', id, phase:'pool', done, total }
+     { type:'pool', id, pool }
+     { type:'row', id, shard, row }
+     { type:'exact', id, shard, key, E }        one per task
+     { type:'sim', id, shard, results, nodes }  results: [[answer, guesses], ...] per task
+     { type:'best', id, shard, key, row }       one per task
+     { type:'score', id, shard, key, row }      one per task
+     { type:'done', id, shard }
+     { type:'error', id, message }
+
+   Cancellation: the page terminates its workers (instant Stop)
+   and spawns fresh ones for the next run.
+   ===================================== */
+importScripts('engine.js');
+
+// 1) Build capped pool
+function runPool(msg) {
+	const { id, S, ext, opts } = msg;
+	const pool = buildGuessPoolCapped(S, ext, opts, (done, total) => {
+		self.postMessage({ type: 'progress', id, phase: 'pool', done, total });
+	});
+	self.postMessage({ type: 'pool', id, pool });
+	self.postMessage({ type: 'done', id });
+}
+
+// 2) Heavy evaluation loop (E[steps], entropy, etc.) over one shard, one row per message
+function runEval(msg) {
+	const { id, shard, S, guesses, opts } = msg;
+	for (const g of guesses) {
+		const row = evaluateGuess(S, g, opts, null);
+		self.postMessage({ type: 'row', id, shard, row });
+	}
+	self.postMessage({ type: 'done', id, shard });
+}
+
+// 2b) Exact column: the page deals out the distinct buckets of every root
+// guess, so each subtree is solved by one worker only (one memo per shard).
+// In both Hard Mode flavors the follow-up guesses come from the candidates.
+function runExact(msg) {
+	const { id, shard, S, tasks, pool, hard } = msg;
+	const solver = createExactSolver(S, hard ? [] : pool, hard);
+	for (const task of tasks) {
+		self.postMessage({ type: 'exact', id, shard, key: task.key, E: solver.solveSet(task.words) });
+	}
+	self.postMessage({ type: 'done', id, shard });
+}
+
+// 3) Strategy simulation: play out each subtree, one message per task
+function runSimulate(msg) {
+	const { id, shard, tasks, ext, opts } = msg;
+	for (const task of tasks) {
+		const results = [];
+		const nodes = simulateStrategy(task.S, ext, opts, task.history, (w, k) => results.push([w, k]));
+		self.postMessage({ type: 'sim', id, shard, results, nodes });
+	}
+	self.postMessage({ type: 'done', id, shard });
+}
+
+// 4) Recommender's pick per position (opening book second guesses)
+function runBest(msg) {
+	const { id, shard, tasks, ext, opts } = msg;
+	for (const task of tasks) {
+		const row = bestRowFor(task.S, ext, simNodeOptions(opts, task.S, task.history));
+		self.postMessage({ type: 'best', id, shard, key: task.key, row });
+	}
+	self.postMessage({ type: 'done', id, shard });
+}
+
+// 5) Opening book: one row per given guess (typed opener, hand-edited or imported guesses)
+function runScore(msg) {
+	const { id, shard, tasks, opts } = msg;
+	for (const task of tasks) {
+		const row = evaluateGuess(task.S, task.guess, simNodeOptions(opts, task.S, task.history), null);
+		self.postMessage({ type: 'score', id, shard, key: task.key, row });
+	}
+	self.postMessage({ type: 'done', id, shard });
+}
+
+self.onmessage = (e) => {
+	const msg = e.data || {};
+	try {
+		if (msg.type === 'list') usePatternTable(msg.words, msg.maxBytes);
+		else if (msg.type === 'pool') runPool(msg);
+		else if (msg.type === 'eval') runEval(msg);
+		else if (msg.type === 'exact') runExact(msg);
+		else if (msg.type === 'simulate') runSimulate(msg);
+		else if (msg.type === 'best') runBest(msg);
+		else if (msg.type === 'score') runScore(msg);
+	} catch (err) {
+		self.postMessage({ type: 'error', id: msg.id, message: String(err && err.message || err) });
+	}
+};
@@ -0,0 +1,71 @@
+// createExactSolver (engine.js) against an exhaustive search on small lists.
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const engine = vm.createContext({ console });
+vm.runInContext(fs.readFileSync(path.join(root, 'engine.js'), 'utf8'), engine, { filename: 'engine.js' });
+
+const words = fs.readFileSync(path.join(root, 'words_2309.txt'), 'utf8').split(/\s+/).filter(w => /^[a-z]{5}$/.test(w));
+
+// Optimal E[steps] from S trying every word of guesses at every step
+function bruteForce(S, guesses) {
+	const memo = new Map();
+	function solve(cands) {
+		if (cands.length === 1) return 1;
+		const key = cands.join();
+		if (memo.has(key)) return memo.get(key);
+		let best = Infinity;
+		for (const g of guesses) {
+			const buckets = new Map();
+			for (const a of cands) {
+				if (a === g) continue;
+				const p = engine.patternCode(g, a);
+				if (!buckets.has(p)) buckets.set(p, []);
+				buckets.get(p).push(a);
+			}
+			if (buckets.size === 1 && !cands.includes(g)) continue; // no progress
+			let e = 1;
+			for (const b of buckets.values()) e += (b.length / cands.length) * solve(b);
+			best = Math.min(best, e);
+		}
+		memo.set(key, best);
+		return best;
+	}
+	return solve(S);
+}
+function withFixedRoot(S, g, solveSet) {
+	let e = 1;
+	for (const b of engine.partitionByPattern(S, g).values()) {
+		if (b.length !== 1 || b[0] !== g) e += (b.length / S.length) * solveSet(b);
+	}
+	return e;
+}
+
+// Words sharing a letter pattern, so buckets stay non-trivial and the best
+// follow-up is often an answer outside the current bucket
+const S = words.filter(w => /^.a.e.$/.test(w)).slice(0, 20);
+const ext = words.filter(w => /^c....$/.test(w)).slice(0, 6);
+
+test('normal mode matches an exhaustive search over answers and pool', () => {
+	for (const pool of [[], ext]) {
+		const solver = engine.createExactSolver(S, pool, false);
+		const all = S.concat(pool);
+		for (const g of all) {
+			const expected = withFixedRoot(S, g, b => bruteForce(b, all));
+			assert.ok(Math.abs(solver.solveWithFixedRoot(g) - expected) < 1e-9, `${g}: ${solver.solveWithFixedRoot(g)} vs ${expected}`);
+		}
+	}
+});
+
+test('hard mode matches an exhaustive search over the candidates', () => {
+	const solver = engine.createExactSolver(S, [], true);
+	for (const g of S.slice(0, 12)) {
+		const expected = withFixedRoot(S, g, b => bruteForce(b, b));
+		assert.ok(Math.abs(solver.solveWithFixedRoot(g) - expected) < 1e-9, `${g}: ${solver.solveWithFixedRoot(g)} vs ${expected}`);
+	}
+});
@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+// verify_tree.js
+// Checks a Wordle strategy tree against a word list.
+//
+// Usage:
+//   node verify_tree.js <tree file> [options]
+//
+// The tree file is either
+//   - JSON as written by dp_top_blocks.js --tree ({ ..., tree: node }, or a
+//     bare node), node = { guess, next: { '01202': node, ... } }
+//   - a text tree file, one line per answer, guesses and B/Y/G feedback
+//     up to the final GGGGG:   raise BBYGB cloth GGGGG
+//
+// Options:
+//   --answers <file>     answer list the tree must solve  (default words_2309.txt)
+//   --hard               every guess must obey Wordle's Hard Mode (greens
+//                        stay in place, revealed letters are reused)
+//   --cands              every guess must still be a possible answer (the
+//                        rule dp_top_blocks.js solves under by default;
+//                        stricter than --hard, so not combined with it)
+//   --max-guesses <n>    count answers needing more than n  (default 6)
+//   -h, --help           show this help
+//
+// Checks:
+//   - every answer is reached: following the tree with pattern() feedback
+//     ends on a guess equal to the answer
+//   - the tree is consistent with pattern(): each text line's feedback is
+//     what its guesses give on its final word, and no branch is left that
+//     no answer can reach
+//   - Hard Mode / candidates-only legality when asked
+// and reports average guesses, max depth and the guess distribution.
+// Exit code 1 when any check fails.
+
+const fs   = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { patternFor, loadWords } = require('./dp_top_blocks');
+
+const SOLVED = '22222';
+const MAX_DEPTH = 20;          // a path longer than this is a loop or a broken tree
+const MAX_LISTED = 20;         // problems printed per kind
+
+// ============================
+// 1. Reading trees
+//    Both formats become node = { guess, next: { pattern: node } } with
+//    patterns as '0'/'1'/'2' strings, like patternFor().
+// ============================
+
+const FROM_LETTERS = { b: '0', y: '1', g: '2' };
+const TO_LETTERS   = { 0: 'B', 1: 'Y', 2: 'G' };
+
+const toLetters = (pat) => pat.replace(/[012]/g, d => TO_LETTERS[d]);
+
+function normalizeNode(raw, where) {
+  if (!raw || typeof raw.guess !== 'string' || !/^[a-z]{5}$/i.test(raw.guess)) {
+    throw new Error(`Bad node at ${where || 'root'}: no 5-letter guess`);
+  }
+  const node = { guess: raw.guess.toLowerCase(), next: {}, n: raw.n, E: raw.E };
+  for (const [pat, child] of Object.entries(raw.next || {})) {
+    if (!/^[012]{5}$/.test(pat)) throw new Error(`Bad pattern "${pat}" after ${where || 'root'}`);
+    node.next[pat] = normalizeNode(child, `${where ? where + ' ' : ''}${node.guess} ${toLetters(pat)}`);
+  }
+  return node;
+}
+
+// Text tree: builds the tree from its lines, and reports lines that
+// disagree with each other or with pattern()
+function parseTextTree(text, problems) {
+  let root = null;
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim().toLowerCase();
+    if (!line || line.startsWith('#')) return;
+    const lineNo = i + 1;
+    const tokens = line.split(/\s+/);
+    if (tokens.length % 2 !== 0 || tokens[tokens.length - 1] !== 'ggggg') {
+      problems.format.push(`line ${lineNo}: expected "guess FEEDBACK ... guess GGGGG": ${raw.trim()}`);
+      return;
+    }
+    const answer = tokens[tokens.length - 2];
+    let node = null;
+    for (let t = 0; t < tokens.length; t += 2) {
+      const guess = tokens[t];
+      const fb = tokens[t + 1];
+      if (!/^[a-z]{5}$/.test(guess) || !/^[byg]{5}$/.test(fb)) {
+        problems.format.push(`line ${lineNo}: bad token "${guess} ${fb}"`);
+        return;
+      }
+      const pat = fb.replace(/[byg]/g, c => FROM_LETTERS[c]);
+      if (patternFor(guess, answer) !== pat) {
+        problems.pattern.push(
+          `line ${lineNo}: ${guess.toUpperCase()} on ${answer.toUpperCase()} gives ` +
+          `${toLetters(patternFor(guess, answer))}, the line says ${fb.toUpperCase()}`
+        );
+      }
+      if (!node) {
+        if (!root) root = { guess, next: {} };
+        if (root.guess !== guess) {
+          problems.format.push(`line ${lineNo}: opens with ${guess.toUpperCase()}, the tree with ${root.guess.toUpperCase()}`);
+          return;
+        }
+        node = root;
+      } else if (node.guess !== guess) {
+        problems.format.push(`line ${lineNo}: plays ${guess.toUpperCase()} where another line plays ${node.guess.toUpperCase()}`);
+        return;
+      }
+      if (pat === SOLVED) break;
+      const nextGuess = tokens[t + 2];
+      if (!node.next[pat]) node.next[pat] = { guess: nextGuess, next: {} };
+      node = node.next[pat];
+    }
+  });
+  if (!root) throw new Error('No tree lines found');
+  return root;
+}
+
+function readTree(file, problems) {
+  const text = fs.readFileSync(file, 'utf8');
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    return { root: parseTextTree(text, problems), meta: {} };
+  }
+  const raw = json.tree || json;
+  return { root: normalizeNode(raw, ''), meta: json.tree ? json : {} };
+}
+
+// ============================
+// 2. Guess legality
+// ============================
+
+// Wordle's Hard Mode: greens stay in place, and every revealed letter
+// (green or yellow) is reused at least as often as it was revealed
+function hardModeProblem(guess, history) {
+  for (const { guess: g, pat } of history) {
+    const need = new Map();
+    for (let i = 0; i < 5; i++) {
+      if (pat[i] === '2' && guess[i] !== g[i]) {
+        return `letter ${i + 1} must be ${g[i].toUpperCase()}`;
+      }
+      if (pat[i] !== '0') need.set(g[i], (need.get(g[i]) || 0) + 1);
+    }
+    for (const [ch, count] of need) {
+      if (guess.split(ch).length - 1 < count) return `must contain ${ch.toUpperCase()}`;
+    }
+  }
+  return null;
+}
+
+// Candidates only: the guess must fit every feedback so far
+function candidateProblem(guess, history) {
+  for (const { guess: g, pat } of history) {
+    if (patternFor(g, guess) !== pat) return `could not be the answer after ${g.toUpperCase()} ${toLetters(pat)}`;
+  }
+  return null;
+}
+
+// ============================
+// 3. Verification
+// ============================
+
+function verifyTree(root, answers, opts = {}) {
+  const problems = opts.problems || { format: [], pattern: [], unreached: [], illegal: [], unused: [] };
+  const reach = new Map();       // node -> answers reaching it
+  const guessCounts = new Map(); // answer -> guesses used
+  const legality = opts.hard ? hardModeProblem : opts.cands ? candidateProblem : null;
+  const illegalSeen = new Set();
+
+  for (const answer of answers) {
+    const history = [];
+    let node = root;
+    let where = '';
+    for (let depth = 1; ; depth++) {
+      reach.set(node, (reach.get(node) || 0) + 1);
+      if (legality && !illegalSeen.has(node)) {
+        const why = legality(node.guess, history);
+        if (why) {
+          illegalSeen.add(node);
+          problems.illegal.push(`${where}${node.guess.toUpperCase()}: ${why}`);
+        }
+      }
+      const pat = patternFor(node.guess, answer);
+      if (pat === SOLVED) {
+        guessCounts.set(answer, depth);
+        break;
+      }
+      where += `${node.guess.toUpperCase()} ${toLetters(pat)} `;
+      const child = node.next[pat];
+      if (!child) {
+        problems.unreached.push(`${answer.toUpperCase()}: no branch after ${where.trim()}`);
+        break;
+      }
+      if (depth >= MAX_DEPTH) {
+        problems.unreached.push(`${answer.toUpperCase()}: still unsolved after ${MAX_DEPTH} guesses`);
+        break;
+      }
+      history.push({ guess: node.guess, pat });
+      node = child;
+    }
+  }
+
+  // Branches no answer of the list reaches: a pattern that cannot occur
+  // there, or answers the tree has that the list does not
+  (function walk(node, where) {
+    for (const [pat, child] of Object.entries(node.next)) {
+      const label = `${where}${node.guess.toUpperCase()} ${toLetters(pat)}`;
+      if (!reach.has(child)) problems.unused.push(`${label} -> ${child.guess.toUpperCase()} is reached by no answer`);
+      else walk(child, label + ' ');
+    }
+  })(root, '');
+
+  return { problems, guessCounts, reach };
+}
+
+function summarize(answers, guessCounts, maxGuesses) {
+  const dist = new Map();
+  let total = 0;
+  let maxDepth = 0;
+  let over = 0;
+  for (const k of guessCounts.values()) {
+    dist.set(k, (dist.get(k) || 0) + 1);
+    total += k;
+    maxDepth = Math.max(maxDepth, k);
+    if (k > maxGuesses) over++;
+  }
+  return {
+    answers: answers.length,
+    solved: guessCounts.size,
+    average: guessCounts.size ? total / guessCounts.size : 0,
+    maxDepth,
+    over,
+    distribution: [...dist].sort((a, b) => a[0] - b[0])
+  };
+}
+
+// ============================
+// 4. CLI
+// ============================
+
+const USAGE = `Usage:
+  node verify_tree.js <tree file> [options]
+
+Options:
+  --answers <file>     answer list the tree must solve (default words_2309.txt)
+  --hard               check Wordle Hard Mode legality of every guess
+  --cands              check every guess is still a possible answer
+                       (implies --hard; give one or the other)
+  --max-guesses <n>    count answers needing more than n (default 6)
+  -h, --help           show this help`;
+
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      answers:       { type: 'string' },
+      hard:          { type: 'boolean', default: false },
+      cands:         { type: 'boolean', default: false },
+      'max-guesses': { type: 'string' },
+      help:          { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  const opts = {
+    help: values.help,
+    tree: positionals[0],
+    answers: values.answers || 'words_2309.txt',
+    hard: values.hard,
+    cands: values.cands,
+    maxGuesses: parseInt(values['max-guesses'] || '6', 10)
+  };
+  if (opts.help) return opts;
+  if (positionals.length !== 1) throw new Error('Give exactly one tree file');
+  // a possible answer always obeys Hard Mode, so --cands already covers --hard
+  if (opts.hard && opts.cands) throw new Error('Give --hard or --cands, not both (--cands implies --hard)');
+  if (!fs.existsSync(opts.tree)) throw new Error(`File not found: ${opts.tree}`);
+  if (!fs.existsSync(opts.answers)) throw new Error(`File not found: ${opts.answers}`);
+  if (!(opts.maxGuesses > 0)) throw new Error(`--max-guesses must be a positive integer. Got: ${values['max-guesses']}`);
+  return opts;
+}
+
+function printProblems(title, list) {
+  if (!list.length) return;
+  console.log(`\n${title} (${list.length}):`);
+  for (const p of list.slice(0, MAX_LISTED)) console.log(`  ${p}`);
+  if (list.length > MAX_LISTED) console.log(`  ... and ${list.length - MAX_LISTED} more`);
+}
+
+function main(argv = process.argv.slice(2)) {
+  let opts;
+  try {
+    opts = parseCli(argv);
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const answers = loadWords(opts.answers);
+  const problems = { format: [], pattern: [], unreached: [], illegal: [], unused: [] };
+  let root, meta;
+  try {
+    ({ root, meta } = readTree(opts.tree, problems));
+  } catch (e) {
+    console.error(`${opts.tree}: ${e.message}`);
+    process.exit(1);
+  }
+  const { guessCounts } = verifyTree(root, answers, { ...opts, problems });
+  const sum = summarize(answers, guessCounts, opts.maxGuesses);
+
+  console.log(`Tree      : ${path.basename(opts.tree)} (opener ${root.guess.toUpperCase()})`);
+  console.log(`Answers   : ${opts.answers} (${answers.length} words)`);
+  if (opts.hard || opts.cands) console.log(`Legality  : ${opts.hard ? 'Hard Mode' : 'candidates only'}`);
+  console.log(`Solved    : ${sum.solved} / ${sum.answers}`);
+  console.log(`Average   : ${sum.average.toFixed(6)} guesses`);
+  console.log(`Max depth : ${sum.maxDepth}`);
+  console.log(`Over ${opts.maxGuesses}    : ${sum.over}`);
+  console.log('Distribution:');
+  for (const [k, count] of sum.distribution) {
+    console.log(`  ${String(k).padStart(2, ' ')}: ${String(count).padStart(5, ' ')}`);
+  }
+  if (Number.isFinite(meta.E) && sum.solved === sum.answers && Math.abs(meta.E - sum.average) > 1e-9) {
+    problems.pattern.push(`the file claims E=${meta.E}, the tree averages ${sum.average}`);
+  }
+
+  printProblems('Format problems', problems.format);
+  printProblems('Feedback that does not match pattern()', problems.pattern);
+  printProblems('Answers not reached', problems.unreached);
+  printProblems(opts.hard ? 'Guesses breaking Hard Mode' : 'Guesses that cannot be the answer', problems.illegal);
+  printProblems('Branches no answer reaches', problems.unused);
+
+  const failed = Object.values(problems).some(list => list.length);
+  console.log(failed ? '\nFAILED' : '\nOK');
+  if (failed) process.exit(1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { readTree, verifyTree, summarize, hardModeProblem, candidateProblem };